@@ -32,7 +32,7 @@ const init = () => {
 
   renderVegetableClassifications($form.classification);
 
-  const form = toVDOM($form);
+  const form = toVDOM($form, { whitespace: 'trim' });
 
   mount($main, huertoForm(form), initialState);
 };
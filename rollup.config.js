@@ -89,4 +89,13 @@ configs.push({
   }
 });
 
+configs.push({
+  input:  'src/index.development.js',
+  output: {
+    file: 'dist/puerro.development.module.js',
+    format: 'esm',
+    name: 'puerro'
+  }
+});
+
 export default configs;
\ No newline at end of file
@@ -0,0 +1,3 @@
+// development build, which warns about invalid node objects, see vdom.development.js
+export * from './index';
+export { h, render, diff, mount, hydrate } from './vdom/vdom.development';
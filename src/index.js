@@ -1,5 +1,9 @@
 import { Observable, ObservableList, ObservableObject } from './observable/observable';
-import { createDomElement, h, toVDOM, render, mount, diff } from './vdom/vdom';
+import {
+  createDomElement, h, html, Fragment, toVDOM, render, renderToString, mount, hydrate, flush, diff,
+  computePatches, applyPatches, portal, lazy, useState, useEffect, useMemo,
+  createContext, provide, useContext, raw, ErrorBoundary, withRefresh,
+} from './vdom/vdom';
 import { PuerroController } from './mvc/controller';
 import { PuerroElement } from './web-components/web-components';
 import { describe } from './test/test'
@@ -10,10 +14,28 @@ export {
   ObservableObject,
   createDomElement, 
   h, 
+  html,
+  Fragment,
+  ErrorBoundary,
+  portal,
+  lazy,
+  useState,
+  useEffect,
+  useMemo,
+  withRefresh,
+  createContext,
+  provide,
+  useContext,
+  raw,
   toVDOM, 
   render, 
+  renderToString,
   mount, 
+  hydrate,
+  flush,
   diff,
+  computePatches,
+  applyPatches,
   PuerroController,
   PuerroElement,
   describe
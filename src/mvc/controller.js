@@ -1,4 +1,4 @@
-import { render, diff } from '../vdom/vdom';
+import { render, computePatches, applyPatches, replace, withRefresh } from '../vdom/vdom';
 import { ObservableObject } from '../observable/observable';
 
 export { PuerroController };
@@ -31,6 +31,7 @@ class PuerroController {
     this.view = view;
     this.diffing = diffing;
     this.vDom = null;
+    this.refreshComponents = () => this.refresh();
     this.init();
     this.onInit();
   }
@@ -39,8 +40,7 @@ class PuerroController {
    * Initial function of the Puerro Controller
    */
   init() {
-    this.vDom = this.view(this);
-    this.$root.prepend(render(this.vDom));
+    this.paint(vDom => this.$root.prepend(render(vDom)));
     this.store.onChange(s => this.refresh());
     this.state.onChange(s => this.refresh());
   }
@@ -50,13 +50,58 @@ class PuerroController {
    */
   onInit() {}
 
+  /**
+   * On Error Hook, called with the error of a failing view and the model which caused it.
+   * The error is thrown, unless either `onError` or `fallback` is overridden.
+   *
+   * @param {Error} error
+   * @param {object} model
+   */
+  onError(error, model) {}
+
+  /**
+   * Fallback view painted instead of a failing view.
+   * Without one, the DOM is left as it is.
+   *
+   * @param {Error} error
+   *
+   * @returns {VNode}
+   */
+  fallback(error) {
+    return null;
+  }
+
   /**
    * Refreshs the view
    */
   refresh() {
-    const newVDom = this.view(this);
-    this.repaint(newVDom);
-    this.vDom = newVDom;
+    this.paint(newVDom => this.repaint(newVDom));
+  }
+
+  /**
+   * Calls the view and paints its virtual DOM, or the fallback view if either fails.
+   * Parts of the view can have their own fallback with `ErrorBoundary` nodes.
+   * State changes of its components schedule a refresh, see `flush`.
+   *
+   * @param {function(VNode)} paint
+   */
+  paint(paint) {
+    withRefresh(this.refreshComponents, () => {
+      try {
+        const newVDom = this.view(this);
+        paint(newVDom);
+        this.vDom = newVDom;
+      } catch (error) {
+        const defaults = PuerroController.prototype;
+        if (defaults.onError === this.onError && defaults.fallback === this.fallback) throw error;
+        this.onError(error, this.model);
+        const fallback = this.fallback(error);
+        if (null != fallback) {
+          paint(fallback);
+          this.vDom = fallback;
+        }
+      }
+    });
   }
 
   /**
@@ -65,10 +110,12 @@ class PuerroController {
    * @param {VNode} newVDom vDom to be paintend
    */
   repaint(newVDom) {
-    if (this.diffing) {
-      diff(this.$root, newVDom, this.vDom);
+    if (this.diffing || null == this.vDom) {
+      const patches = computePatches(this.vDom, newVDom);
+      this.vDom = newVDom; // the DOM is patched, even if a lifecycle hook fails
+      applyPatches(this.$root, patches);
     } else {
-      this.$root.replaceChild(render(newVDom), this.$root.firstChild);
+      replace(this.$root, newVDom, this.vDom);
     }
   }
 
@@ -1,5 +1,5 @@
 import { describe } from '../test/test';
-import { h } from '../vdom/vdom';
+import { h, ErrorBoundary, useState, flush } from '../vdom/vdom';
 import { PuerroController } from './controller';
 import { PreactController } from './preact.controller';
 
@@ -30,6 +30,150 @@ describe('MVC Controller with virtual DOM', test => {
     assert.is($div.firstChild.textContent, '1');
   });
 
+  test('Puerro Controller - multiple root nodes', assert => {
+    // given
+    const $diffed = document.createElement('div');
+    const $replaced = document.createElement('div');
+    $replaced.append(document.createElement('footer'));
+    const view = controller => [h('p', {}, controller.model.counter), h('i', {}, 'x')];
+    const diffed = new PuerroController($diffed, { counter: 1 }, view);
+    const replaced = new PuerroController($replaced, { counter: 1 }, view, false);
+
+    // when
+    diffed.state.push('counter', 2);
+    replaced.state.push('counter', 2);
+    replaced.state.push('counter', 3);
+
+    // then
+    assert.is($diffed.innerHTML, '<p>2</p><i>x</i>');
+    assert.is($replaced.innerHTML, '<p>3</p><i>x</i><footer></footer>');
+  });
+
+  test('Puerro Controller - error boundary', assert => {
+    // before
+    const errors = [];
+    class MyController extends PuerroController {
+      onError(error, model) {
+        errors.push(`${error.message} ${model.vegetable}`);
+      }
+      fallback(error) {
+        return h('p', { class: 'error' }, error.message);
+      }
+    }
+
+    // given
+    const $div = document.createElement('div');
+    const view = controller => {
+      if (controller.model.vegetable === 'Tomato') throw new Error('not a vegetable');
+      return h('p', {}, controller.model.vegetable);
+    };
+    const controller = new MyController($div, { vegetable: 'Leek' }, view);
+
+    // when
+    controller.state.push('vegetable', 'Tomato');
+
+    // then
+    assert.is(errors.join(), 'not a vegetable Tomato');
+    assert.is($div.innerHTML, '<p class="error">not a vegetable</p>');
+
+    // when
+    controller.state.push('vegetable', 'Potato');
+
+    // then
+    assert.is($div.innerHTML, '<p>Potato</p>');
+
+    // when
+    controller.view = controller =>
+      h('p', { onupdate: _ => { throw new Error('not updated'); } }, controller.model.vegetable, h('b', {}, '!'));
+    controller.state.push('vegetable', 'Carrot');
+
+    // then
+    assert.is(errors[1], 'not updated Carrot');
+    assert.is($div.innerHTML, '<p class="error">not updated</p>');
+  });
+
+  test('Puerro Controller - fallback only', assert => {
+    // given
+    class FallbackController extends PuerroController {
+      fallback(error) {
+        return h('p', { class: 'error' }, error.message);
+      }
+    }
+    const $div = document.createElement('div');
+    const $plain = document.createElement('div');
+    const view = controller => {
+      if (controller.model.amount < 0) throw new Error('negative amount');
+      return h('p', {}, controller.model.amount);
+    };
+    const controller = new FallbackController($div, { amount: 1 }, view);
+    const plain = new PuerroController($plain, { amount: 1 }, view);
+    let thrown;
+
+    // when
+    controller.state.push('amount', -1);
+    try {
+      plain.state.push('amount', -1);
+    } catch (error) {
+      thrown = error;
+    }
+
+    // then
+    assert.is($div.innerHTML, '<p class="error">negative amount</p>');
+    assert.is(thrown.message, 'negative amount');
+  });
+
+  test('Puerro Controller - hooks', assert => {
+    // given
+    const $div = document.createElement('div');
+    const Toggle = ({ label }) => {
+      const [open, setOpen] = useState(false);
+      return h('button', { click: _ => setOpen(!open) }, `${label} ${open ? 'open' : 'closed'}`);
+    };
+    const view = controller => h('div', {}, h(Toggle, { label: controller.model.vegetable }));
+    const controller = new PuerroController($div, { vegetable: 'Leek' }, view);
+
+    // when
+    $div.querySelector('button').click();
+    flush();
+
+    // then
+    assert.is($div.innerHTML, '<div><button>Leek open</button></div>');
+
+    // when
+    controller.state.push('vegetable', 'Tomato');
+
+    // then
+    assert.is($div.innerHTML, '<div><button>Tomato open</button></div>');
+  });
+
+  test('Puerro Controller - ErrorBoundary', assert => {
+    // given
+    const $div = document.createElement('div');
+    const Amount = ({ amount }) => {
+      if (amount < 0) throw new Error('negative amount');
+      return h('span', {}, amount);
+    };
+    const view = controller =>
+      h('div', {},
+        h('h1', {}, controller.model.vegetable),
+        h(ErrorBoundary, { fallback: error => h('em', {}, error.message) }, h(Amount, controller.model))
+      );
+    const controller = new PuerroController($div, { vegetable: 'Leek', amount: 1 }, view);
+
+    // when
+    controller.state.push('amount', -1);
+
+    // then
+    assert.is($div.innerHTML, '<div><h1>Leek</h1><em>negative amount</em></div>');
+
+    // when
+    controller.state.push('vegetable', 'Tomato');
+    controller.state.push('amount', 2);
+
+    // then
+    assert.is($div.innerHTML, '<div><h1>Tomato</h1><span>2</span></div>');
+  });
+
   test('Preact Controller', assert => {
     // before
     class MyController extends PreactController {
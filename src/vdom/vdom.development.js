@@ -0,0 +1,177 @@
+/**
+ * Development build of the vdom module.
+ * Validates node objects in `h`, `render`, `diff` and in the views of `mount`, `hydrate` and `mountMVC`
+ * and warns about mistakes which render silently wrong, along with the path to the node.
+ * Production bundles import the vdom module directly, so they contain none of the validation.
+ *
+ * @module vdom.development
+ */
+
+import * as vdom from './vdom';
+
+export * from './vdom';
+export { h, render, diff, mount, hydrate, mountMVC, validate };
+
+/**
+ * Attributes starting with "on", which are hooks instead of event listeners
+ */
+const hookAttributes = ['oncreate', 'onupdate', 'onremove'];
+
+/**
+ * Warnings which were logged already, so a refreshing view does not repeat them
+ */
+const warnings = new Set();
+
+/**
+ * Logs a warning about a node once
+ *
+ * @param {string} message
+ * @param {Array<string>} path names of the node and its ancestors
+ */
+const warn = (message, path) => {
+  const warning = `Invalid node ${path.join(' > ')}: ${message}`;
+  if (warnings.has(warning)) return;
+  warnings.add(warning);
+  console.warn(warning);
+};
+
+/**
+ * Nodes which were validated by `h` already, so `validate` does not warn about them twice
+ */
+const checkedNodes = new WeakSet();
+
+/**
+ * Checks if a value is a node object
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+const isNode = value => null != value && typeof value === 'object' && 'tagName' in value;
+
+/**
+ * Returns the name of a node in the path of a warning
+ *
+ * @param {VNode} node
+ * @param {number} [index] index of the node among its siblings
+ *
+ * @returns {string}
+ */
+const nameOf = (node, index) => {
+  const name =
+    typeof node.tagName === 'function' ? `<${node.tagName.name || 'Component'}>` : String(node.tagName);
+  return null == index ? name : `${name}[${index}]`;
+};
+
+/**
+ * Returns the mistakes of a single node
+ *
+ * @param {VNode} node
+ *
+ * @returns {Array<string>} messages
+ */
+const mistakesOf = node => {
+  const mistakes = [];
+  if (null == node.tagName) {
+    mistakes.push(`tagName is ${node.tagName}, is the component imported?`);
+  }
+  // the attributes of components are their props, not listeners
+  Object.keys(typeof node.tagName === 'string' ? node.attributes || {} : {})
+    .filter(key => /^on/i.test(key) && !hookAttributes.includes(key))
+    .filter(key => typeof node.attributes[key] === 'function')
+    .forEach(key =>
+      mistakes.push(`listener "${key}" is never called, use the event name "${key.slice(2).toLowerCase()}"`)
+    );
+  const children = node.children || [];
+  children.forEach((child, i) => {
+    if (typeof child === 'boolean') {
+      mistakes.push(`child ${i} is ${child}, use null to render nothing`);
+    } else if (null != child && typeof child === 'object' && !Array.isArray(child) && !isNode(child)) {
+      mistakes.push(`child ${i} is an object, which is not a node: ${JSON.stringify(child)}`);
+    }
+  });
+  const keys = children.filter(child => isNode(child) && null != child.key).map(child => child.key);
+  keys
+    .filter((key, i) => keys.indexOf(key) !== i)
+    .filter((key, i, duplicates) => duplicates.indexOf(key) === i)
+    .forEach(key => mistakes.push(`duplicate key "${key}", only the first child with it is kept when diffing`));
+  return mistakes;
+};
+
+/**
+ * Validates a node and all nodes within, except the output of components.
+ * Nodes created by `h` are only warned about by `h`, but the nodes within are still validated.
+ *
+ * @param {VNode | Array<VNode>} node
+ * @param {Array<string>} [path] names of the ancestors
+ * @param {number} [index] index of the node among its siblings
+ */
+const validate = (node, path = [], index) => {
+  if (Array.isArray(node)) {
+    const arrayPath = null == index ? path : [...path, `[${index}]`];
+    node.forEach((child, i) => validate(child, arrayPath, i));
+    return;
+  }
+  if (!isNode(node)) return;
+  const nodePath = [...path, nameOf(node, index)];
+  if (!checkedNodes.has(node)) {
+    mistakesOf(node).forEach(mistake => warn(mistake, nodePath));
+  }
+  (node.children || []).forEach((child, i) => validate(child, nodePath, i));
+};
+
+/**
+ * Returns a view, which validates the nodes it returns
+ *
+ * @param {function(...*): VNode} view
+ *
+ * @returns {function(...*): VNode}
+ */
+const validated = view => (...args) => {
+  const vDom = view(...args);
+  validate(vDom);
+  return vDom;
+};
+
+/**
+ * See `h` of the vdom module
+ */
+const h = (tagName, attributes, ...nodes) => {
+  const node = vdom.h(tagName, attributes, ...nodes);
+  checkedNodes.add(node);
+  mistakesOf(node).forEach(mistake => warn(mistake, [`h(${nameOf(node)})`]));
+  return node;
+};
+
+/**
+ * See `render` of the vdom module
+ */
+const render = (node, namespace) => {
+  validate(node);
+  return vdom.render(node, namespace);
+};
+
+/**
+ * See `diff` of the vdom module
+ */
+const diff = ($parent, newNode, oldNode, index) => {
+  validate(newNode);
+  return vdom.diff($parent, newNode, oldNode, index);
+};
+
+/**
+ * See `mount` of the vdom module
+ */
+const mount = ($root, view, state, diffing, options) =>
+  vdom.mount($root, validated(view), state, diffing, options);
+
+/**
+ * See `hydrate` of the vdom module
+ */
+const hydrate = ($root, view, state, options) => vdom.hydrate($root, validated(view), state, options);
+
+/**
+ * See `mountMVC` of the vdom module
+ */
+const mountMVC = ($root, model, view, controller, diffing, options) =>
+  vdom.mountMVC($root, model, validated(view), controller, diffing, options);
@@ -5,212 +5,2572 @@
  * @module vdom
  */
 
-export { createDomElement, h, toVDOM, render, mount, diff, changed, mountMVC };
+export {
+  createDomElement, h, html, Fragment, toVDOM, render, renderToString, mount, hydrate, flush,
+  diff, computePatches, applyPatches, changed, mountMVC, portal, lazy, useState, useEffect, useMemo,
+  createContext, provide, useContext, raw, ErrorBoundary, withRefresh, replace,
+};
+
+/**
+ * @typedef {{ tagName: string | Component, attributes: object, children: any, key: any  }} VNode
+ */
+
+/**
+ * A functional component, which is called with its attributes and children when rendered
+ *
+ * @callback Component
+ * @param {object} props attributes of the component node
+ * @param {Array<VNode>} children children of the component node
+ *
+ * @returns {VNode}
+ */
+
+/**
+ * A plain DOM operation, see `computePatches`.
+ * Its path leads from the root to the parent for `create`, `remove` and `move`,
+ * and to the node itself for `setText`, `setAttr`, `update` and `portal`.
+ * Patches are only serializable (e.g. to be sent from a worker) if the view contains no values
+ * which are not, like event listeners, lifecycle hooks and portal targets.
+ *
+ * @typedef {{ type: 'create', path: Array<number>, index: number, node: VNode }
+ *   | { type: 'remove', path: Array<number>, index: number, count: number, node: VNode }
+ *   | { type: 'move', path: Array<number>, from: number, count: number, to: number }
+ *   | { type: 'setText', path: Array<number>, value: string }
+ *   | { type: 'setAttr', path: Array<number>, name: string, value: *, oldValue: * }
+ *   | { type: 'update', path: Array<number>, attributes: object, oldAttributes: object }
+ *   | { type: 'portal', path: Array<number>, patches: Array<Patch> }} Patch
+ */
+
+/**
+ * TagName of fragment nodes, which render their children without a wrapping element
+ */
+const Fragment = '#fragment';
+
+/**
+ * TagName of comment nodes, whose children are the text of the comment
+ */
+const commentTag = '#comment';
+
+/**
+ * TagName of portal nodes, which render their children into another container
+ */
+const portalTag = '#portal';
+
+/**
+ * Namespaces of elements, which are not HTML, by the tagName of their root element
+ */
+const namespaces = {
+  svg:  'http://www.w3.org/2000/svg',
+  math: 'http://www.w3.org/1998/Math/MathML',
+};
 
 /**
- * @typedef {{ tagName: string, attributes: object, children: any  }} VNode
+ * Namespaces of prefixed attributes like `xlink:href`
  */
+const attributeNamespaces = {
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml:   'http://www.w3.org/XML/1998/namespace',
+};
 
 /**
 * Creates a new HTML Element.
 * If the attribute is a function it will add it as an EventListener.
 * Otherwise as an attribute.
+* The content is set as text, markup has to be passed explicitly as node object (see `raw`).
 *
 * @param {string} tagName name of the tag
 * @param {object} attributes attributes or listeners to set in element
-* @param {*} innerHTML content of the tag
+* @param {* | VNode} content text content of the tag or a node object to render into it
+* @param {string} [namespace] namespace URI of the element, if it is not HTML
 *
 * @returns {HTMLElement}
 */
-const createDomElement = (tagName, attributes = {}, innerHTML = '') => {
-  const $element = document.createElement(tagName);
-  $element.innerHTML = innerHTML;
+const createDomElement = (tagName, attributes = {}, content = '', namespace) => {
+  const $element =
+    null == namespace
+      ? document.createElement(tagName)
+      : document.createElementNS(namespace, tagName);
+  if (isObject(content)) {
+    $element.appendChild(render(content, childNamespace($element)));
+  } else {
+    $element.textContent = content;
+  }
   Object.keys(attributes)
     .filter(key => null != attributes[key]) // don't create attributes with value null/undefined
-    .forEach(key => {
-      if (typeof attributes[key] === 'function') {
-        $element.addEventListener(key, attributes[key]);
-      } else {
-        $element.setAttribute(key, attributes[key]);
-      }
-    });
+    .forEach(key => patchAttribute($element, key, attributes[key]));
   return $element;
 };
 
 /**
- * Creates a node object which can be rendered
+ * Event listeners registered by Puerro, per element and event name
+ */
+const eventListeners = new WeakMap();
+
+/**
+ * Replaces the event listener of the given event on an element.
+ * Passing no listener detaches the current one.
  *
- * @param {string} tagName
- * @param {object} attributes
- * @param {VNode[] | VNode | any} nodes
+ * @param {HTMLElement} $element
+ * @param {string} event name of the event
+ * @param {function(Event)} [listener]
+ */
+const setEventListener = ($element, event, listener) => {
+  const listeners = eventListeners.get($element) || {};
+  if (listeners[event] === listener) return;
+  if (listeners[event]) {
+    $element.removeEventListener(event, listeners[event]);
+  }
+  if (listener && null != currentDelegation) {
+    delegatingElements.set($element, currentDelegation);
+    currentDelegation.listen(event);
+  } else if (listener) {
+    $element.addEventListener(event, listener);
+  }
+  listeners[event] = listener;
+  eventListeners.set($element, listeners);
+};
+
+/**
+ * Events which do not bubble, so they are delegated in the capture phase and only to their target
+ */
+const nonBubblingEvents = [
+  'focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave',
+  'load', 'error', 'scroll', 'invalid', 'toggle',
+];
+
+/**
+ * Delegation handling the events of the elements, whose listeners are set currently
+ */
+let currentDelegation = null;
+
+/**
+ * Delegation handling the events of an element, by the element
+ */
+const delegatingElements = new WeakMap();
+
+/**
+ * Creates an event delegation for a mounted view. Instead of a listener per element,
+ * a single listener per event type on its containers dispatches events to the listeners of its elements.
  *
- * @returns {VNode}
+ * @param {HTMLElement} $root
+ *
+ * @returns {{ listen: function(string), addContainer: function(HTMLElement), remove: function() }}
  */
-const vNode = (tagName, attributes = {}, ...nodes) => ({
-  tagName,
-  attributes: null == attributes ? {} : attributes,
-  children: null == nodes ? [] : [].concat(...nodes), // collapse nested arrays.
-});
-const h = vNode;
+const createDelegation = $root => {
+  const events = new Set();
+  const dispatchers = new Map(); // listener per event, by container
+  const delegation = {
+    listen(event) {
+      if (events.has(event)) return;
+      events.add(event);
+      dispatchers.forEach((listeners, $container) => addDispatcher($container, listeners, event));
+    },
+    addContainer($container) {
+      if (dispatchers.has($container)) return;
+      dispatchers.set($container, {});
+      events.forEach(event => addDispatcher($container, dispatchers.get($container), event));
+    },
+    remove() {
+      dispatchers.forEach((listeners, $container) =>
+        Object.keys(listeners).forEach(event =>
+          $container.removeEventListener(event, listeners[event], nonBubblingEvents.includes(event))
+        )
+      );
+      dispatchers.clear();
+    },
+  };
+  const addDispatcher = ($container, listeners, event) => {
+    listeners[event] = e => dispatch(delegation, $container, e);
+    $container.addEventListener(event, listeners[event], nonBubblingEvents.includes(event));
+  };
+  delegation.addContainer($root);
+  return delegation;
+};
+
+/**
+ * Calls the listeners of the target of an event and its ancestors within the container,
+ * until the propagation of the event is stopped.
+ * `currentTarget` is the element of the listener, while it is called.
+ *
+ * @param {object} delegation
+ * @param {HTMLElement} $container
+ * @param {Event} event
+ */
+const dispatch = (delegation, $container, event) => {
+  const bubbles = !nonBubblingEvents.includes(event.type);
+  for (let $node = event.target; null != $node && $node !== $container; $node = $node.parentNode) {
+    const listener = (eventListeners.get($node) || {})[event.type];
+    if (listener && delegatingElements.get($node) === delegation) {
+      Object.defineProperty(event, 'currentTarget', { configurable: true, value: $node });
+      listener.call($node, event);
+      delete event.currentTarget;
+    }
+    if (!bubbles || event.cancelBubble) return;
+  }
+};
 
 /**
- * Converts a DOM Node to a Virtual Node
+ * Attributes of form controls, which reflect the current state of the control
+ * and therefore are set as properties
+ */
+const properties = ['value', 'checked', 'selected', 'disabled', 'indeterminate'];
+
+/**
+ * Form controls, whose properties are set instead of their attributes
+ */
+const formControls = ['input', 'textarea', 'select', 'option', 'optgroup', 'button', 'fieldset'];
+
+/**
+ * Checks if an attribute is set as property of the given element
  *
- * @param {HTMLElement} $node
+ * @param {HTMLElement} $element
+ * @param {string} key
  *
- * @returns {VNode}
+ * @returns {boolean}
  */
-const toVDOM = $node => {
-  const tagName = $node.tagName;
-  const $children = $node.children;
+const isProperty = ($element, key) => isControlProperty($element.localName, key) && key in $element;
 
-  const attributes = Object.values($node.attributes).reduce((attributes, attribute) => {
-    attributes[attribute.name] = attribute.value;
-    return attributes;
-  }, {});
+/**
+ * Checks if an attribute of elements with the given tag name reflects the state of a form control
+ *
+ * @param {string} tagName
+ * @param {string} key
+ *
+ * @returns {boolean}
+ */
+const isControlProperty = (tagName, key) => properties.includes(key) && formControls.includes(tagName);
 
-  if ($children.length > 0) {
-    return vNode(tagName, attributes, Array.from($children).map(toVDOM));
+/**
+ * Sets, updates or removes a single attribute, property or event listener of an element.
+ * Boolean attributes are set if true and removed if false.
+ *
+ * @param {HTMLElement} $element
+ * @param {string} key
+ * @param {*} newValue
+ * @param {*} [oldValue]
+ */
+const patchAttribute = ($element, key, newValue, oldValue) => {
+  if (lifecycleAttributes.includes(key)) return;
+  if (typeof newValue === 'function' || typeof oldValue === 'function') {
+    setEventListener($element, key, typeof newValue === 'function' ? newValue : undefined);
+  }
+  const value = typeof newValue === 'function' || false === newValue ? null : newValue;
+  if (isProperty($element, key)) {
+    setProperty($element, key, value);
+    return;
+  }
+  if ('class' === key) {
+    patchClass($element, value, oldValue);
+    return;
+  }
+  if ('style' === key && isObject(value)) {
+    patchStyle($element, value, oldValue);
+    return;
+  }
+  const namespace = attributeNamespaces[key.split(':')[0]];
+  if (null == value) {
+    if (null == namespace) {
+      $element.removeAttribute(key);
+    } else {
+      $element.removeAttributeNS(namespace, key.split(':')[1]);
+    }
+  } else if (null == namespace) {
+    $element.setAttribute(key, true === value ? '' : value);
+  } else {
+    $element.setAttributeNS(namespace, key, true === value ? '' : value);
   }
-
-  return vNode(tagName, attributes, $node.textContent);
 };
 
 /**
- * Renders a given node object
- * Considers ELEMENT_NODE AND TEXT_NODE https://developer.mozilla.org/en-US/docs/Web/API/Node/nodeType
- *
- * @param {VNode} node
+ * Sets a property of a form control, unless it has the value already (e.g. typed by the user)
  *
- * @returns {HTMLElement}
+ * @param {HTMLElement} $element
+ * @param {string} key
+ * @param {*} value
  */
-const render = node => {
-  if (null == node) {
-    return document.createTextNode('');
+const setProperty = ($element, key, value) => {
+  if ('value' === key) {
+    value = null == value ? '' : String(value);
+  } else {
+    value = null != value && false !== value;
   }
-  if (typeof node === 'string' || typeof node === 'number') {
-    return document.createTextNode(node);
+  if ($element[key] !== value) {
+    $element[key] = value;
   }
-  const $element = createDomElement(node.tagName, node.attributes);
-  node.children.forEach(c => $element.appendChild(render(c)));
-  return $element;
 };
 
 /**
- * Renders given stateful view into given container
+ * Adds and removes the class tokens which differ between two class attributes
  *
- * @param {HTMLElement} $root
- * @param {function(): VNode} view
- * @param {object} state
- * @param {boolean} diffing
+ * @param {HTMLElement} $element
+ * @param {string | Array | object} newValue
+ * @param {string | Array | object} oldValue
  */
-const mount = ($root, view, state, diffing = true) => {
-  const params = {
-    get state() {
-      return state;
-    },
-    setState,
-  };
+const patchClass = ($element, newValue, oldValue) => {
+  const newTokens = classNames(newValue).split(' ').filter(token => '' !== token);
+  const oldTokens = classNames(oldValue).split(' ').filter(token => '' !== token);
+  oldTokens
+    .filter(token => !newTokens.includes(token))
+    .forEach(token => $element.classList.remove(token));
+  newTokens
+    .filter(token => !oldTokens.includes(token))
+    .forEach(token => $element.classList.add(token));
+  if (0 === $element.classList.length) {
+    $element.removeAttribute('class'); // class tokens added by others are kept
+  }
+};
 
-  let vDom = view(params);
-  $root.prepend(render(vDom));
+/**
+ * Sets and removes the style properties which differ between two style objects
+ *
+ * @param {HTMLElement} $element
+ * @param {object} newStyle
+ * @param {object | string} oldStyle
+ */
+const patchStyle = ($element, newStyle, oldStyle) => {
+  if (!isObject(oldStyle)) {
+    $element.removeAttribute('style'); // replace a style string
+    oldStyle = {};
+  }
+  Object.keys({ ...oldStyle, ...newStyle })
+    .filter(name => newStyle[name] !== oldStyle[name])
+    .forEach(name => {
+      if (null == newStyle[name] || '' === newStyle[name]) {
+        $element.style.removeProperty(styleName(name));
+      } else {
+        $element.style.setProperty(styleName(name), newStyle[name]);
+      }
+    });
+};
 
-  function setState(newState) {
-    if (typeof newState === 'function') {
-      state = { ...state, ...newState(state) };
-    } else {
-      state = { ...state, ...newState };
-    }
-    refresh();
+/**
+ * Converts a class attribute given as string, array or `{ name: boolean }` map to a string
+ *
+ * @param {string | Array | object} value
+ *
+ * @returns {string}
+ */
+const classNames = value => {
+  if (Array.isArray(value)) {
+    return value.map(classNames).filter(names => '' !== names).join(' ');
   }
+  if (isObject(value)) {
+    return Object.keys(value).filter(name => value[name]).join(' ');
+  }
+  return null == value || false === value ? '' : String(value).trim();
+};
 
-  function refresh() {
-    const newVDom = view(params);
+/**
+ * Converts a style object to a style string
+ *
+ * @param {object} style
+ *
+ * @returns {string}
+ */
+const styleString = style =>
+  Object.keys(style)
+    .filter(name => null != style[name] && '' !== style[name])
+    .map(name => `${styleName(name)}: ${style[name]}`)
+    .join('; ');
 
-    if (diffing) {
-      diff($root, newVDom, vDom);
-    } else {
-      $root.replaceChild(render(newVDom), $root.firstChild);
-    }
+/**
+ * Converts a camel cased style property name to its CSS name, custom properties are kept
+ *
+ * @param {string} name
+ *
+ * @returns {string}
+ */
+const styleName = name =>
+  name.startsWith('--') ? name : name.replace(/[A-Z]/g, char => '-' + char.toLowerCase());
 
-    vDom = newVDom;
+/**
+ * Converts an attribute value to the string it is rendered as
+ *
+ * @param {string} key
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+const attributeString = (key, value) => {
+  if ('class' === key) {
+    return classNames(value);
+  }
+  if ('style' === key && isObject(value)) {
+    return styleString(value);
   }
+  return String(value);
 };
 
- /**
-  * Renders given stateful view into given container (MVC approach)
-  * 
-  * @param {HTMLElement} $root 
-  * @param {object} model 
-  * @param {function(): VNode} view 
-  * @param {any} controller 
-  * @param {boolean} diffing 
-  */
-const mountMVC = ($root, model, view, controller, diffing = true) => {
-  let vDom = view(controller(model, refresh));
-  $root.prepend(render(vDom));
+/**
+ * Checks if a value is an object (and not null)
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+const isObject = value => null != value && typeof value === 'object';
 
-  function refresh(model) {
-    const newVDom = view(controller(model, refresh));
+/**
+ * Special attributes, which are not set on the element:
+ * - `ref` function or object (`current` property) receiving the element, null when removed
+ * - `oncreate($element)` called after the element was created and inserted
+ * - `onupdate($element, oldAttributes)` called after the element was diffed
+ * - `onremove($element)` called after the element was removed
+ * - `shouldUpdate(newAttributes, oldAttributes)` decides if an element or component is diffed at all
+ */
+const lifecycleAttributes = ['ref', 'oncreate', 'onupdate', 'onremove', 'shouldUpdate'];
 
-    if (diffing) {
-      diff($root, newVDom, vDom);
-    } else {
-      $root.replaceChild(render(newVDom), $root.firstChild);
+/**
+ * Lifecycle hooks to call once the current DOM operation is done
+ */
+const lifecycleQueue = [];
+let lifecycleDepth = 0;
+
+/**
+ * Executes a DOM operation and calls the lifecycle hooks it queued afterwards,
+ * so elements are already inserted when their hooks are called.
+ * Nested operations call their hooks with the outermost one.
+ *
+ * @param {function(): *} operation
+ *
+ * @returns {*} result of the operation
+ */
+const lifecycle = operation => {
+  lifecycleDepth++;
+  try {
+    return operation();
+  } finally {
+    lifecycleDepth--;
+    if (0 === lifecycleDepth) {
+      lifecycleQueue.splice(0).forEach(hook => hook());
     }
+  }
+};
+
+/**
+ * Assigns an element to a ref
+ *
+ * @param {function(HTMLElement) | { current: HTMLElement }} ref
+ * @param {HTMLElement} $element
+ */
+const setRef = (ref, $element) => {
+  if (typeof ref === 'function') {
+    ref($element);
+  } else if (null != ref) {
+    ref.current = $element;
+  }
+};
+
+/**
+ * Queues the hooks of a created element
+ *
+ * @param {HTMLElement} $element
+ * @param {object} attributes
+ */
+const created = ($element, attributes) => {
+  if (null != attributes.ref) {
+    lifecycleQueue.push(() => setRef(attributes.ref, $element));
+  }
+  if (null != attributes.oncreate) {
+    lifecycleQueue.push(() => attributes.oncreate($element));
+  }
+};
 
-    vDom = newVDom;
+/**
+ * Queues the hooks of a diffed element
+ *
+ * @param {HTMLElement} $element
+ * @param {object} newAttributes
+ * @param {object} oldAttributes
+ */
+const updated = ($element, newAttributes, oldAttributes) => {
+  if (newAttributes.ref !== oldAttributes.ref) {
+    lifecycleQueue.push(() => {
+      setRef(oldAttributes.ref, null);
+      setRef(newAttributes.ref, $element);
+    });
+  }
+  if (null != newAttributes.onupdate) {
+    lifecycleQueue.push(() => newAttributes.onupdate($element, oldAttributes));
   }
 };
 
 /**
- * Compares two VDOM nodes and applies the differences to the dom
+ * Queues the hooks of all elements of a rendered node, which is about to be removed.
+ * The content of its portals is removed right away, as it is not part of the node's DOM.
  *
  * @param {HTMLElement} $parent
- * @param {VNode} oldNode
- * @param {VNode} newNode
- * @param {number} index
+ * @param {VNode} node
+ * @param {number} index index of the node's first DOM node
  */
-const diff = ($parent, newNode, oldNode, index = 0) => {
-  if (null == oldNode) {
-    $parent.appendChild(render(newNode));
+const unmountNode = ($parent, node, index) => {
+  node = renderedNode(normalize(node));
+  if (isComponent(node)) {
+    unmountNode($parent, componentOutputs.get(node), index);
+    const hooks = componentHooks.get(node);
+    if (null != hooks) {
+      hooks.unmounted = true;
+      changedHooks.delete(hooks);
+      lifecycleQueue.push(() => hooks.list.forEach(cleanup));
+    }
     return;
   }
-  if (null == newNode) {
-    $parent.removeChild($parent.childNodes[index]);
+  if (isFragment(node)) {
+    unmountChildren($parent, node.children, index);
     return;
   }
-  if (changed(oldNode, newNode)) {
-    $parent.replaceChild(render(newNode), $parent.childNodes[index]);
+  if (isPortal(node)) {
+    const { $target, offset } = portalPosition($parent.childNodes[index]);
+    const length = unmountChildren($target, node.children, offset) - offset;
+    removeNodes($target, offset - 1, length + 1);
     return;
   }
-  if (newNode.tagName) {
-    newNode.children.forEach((newNode, i) => {
-      diff($parent.childNodes[index], newNode, oldNode.children[i], i);
-    });
+  if (isText(node) || isComment(node)) return;
+
+  const $element = $parent.childNodes[index];
+  const { ref, onremove } = node.attributes;
+  unmountChildren($element, node.children, 0);
+  if (null != ref) {
+    lifecycleQueue.push(() => setRef(ref, null));
+  }
+  if (null != onremove) {
+    lifecycleQueue.push(() => onremove($element));
   }
 };
 
 /**
- * compares two VDOM nodes and returns true if they are different
+ * Queues the hooks of all elements of the given children, see `unmountNode`
  *
- * @param {VNode} node1
- * @param {VNode} node2
+ * @param {HTMLElement} $parent
+ * @param {Array<VNode>} children
+ * @param {number} index index of the first child's DOM node
  */
-const changed = (node1, node2) => {
-  const nodeChanged =
-    typeof node1 !== typeof node2 ||
-    ((typeof node1 === 'string' || typeof node1 === 'number') && node1 !== node2) ||
-    node1.type !== node2.type;
-  const attributesChanged =
-    !!node1.attributes &&
-    !!node2.attributes &&
-    (Object.keys(node1.attributes).length !== Object.keys(node2.attributes).length ||
-      Object.keys(node1.attributes).some(
-        a =>
-          node1.attributes[a] !== node2.attributes[a] &&
-          (null == node1.attributes[a] ? '' : node1.attributes[a]).toString() !==
-          (null == node2.attributes[a] ? '' : node2.attributes[a]).toString()
-      ));
-  return nodeChanged || attributesChanged;
+const unmountChildren = ($parent, children, index) =>
+  children.map(normalize).reduce((index, child) => {
+    unmountNode($parent, child, index);
+    return index + domLength(child);
+  }, index);
+
+/**
+ * Creates a node object which can be rendered
+ * The special attribute `key` identifies the node among its siblings
+ * and is not rendered to the DOM.
+ * If tagName is a function, the node is a functional component.
+ *
+ * @param {string | Component} tagName
+ * @param {object} attributes
+ * @param {VNode[] | VNode | any} nodes
+ *
+ * @returns {VNode}
+ */
+const vNode = (tagName, attributes = {}, ...nodes) => {
+  const { key, ...rest } = null == attributes ? {} : attributes;
+  return {
+    tagName,
+    attributes: rest,
+    children: null == nodes ? [] : [].concat(...nodes), // collapse nested arrays.
+    key,
+  };
 };
+const h = vNode;
+
+/**
+ * Creates a portal node, whose content is rendered into the given container (e.g. for modals).
+ * The content is still diffed and removed along with the portal, which is rendered as empty text.
+ *
+ * @param {HTMLElement} target
+ * @param {VNode} node
+ *
+ * @returns {VNode}
+ */
+const portal = (target, node) => vNode(portalTag, { target }, node);
+
+/**
+ * Creates a lazy node, whose function is only called again when diffing if its dependencies changed.
+ * Otherwise the subtree it returned before is kept as it is.
+ *
+ * @param {function(): VNode} view
+ * @param {Array<*>} deps
+ * @param {*} [key]
+ *
+ * @returns {VNode}
+ */
+const lazy = (view, deps, key) =>
+  vNode(Lazy, {
+    key,
+    view,
+    deps,
+    shouldUpdate: (newAttributes, oldAttributes) => depsChanged(oldAttributes.deps, newAttributes.deps),
+  });
+
+/**
+ * Component of lazy nodes, see `lazy`
+ *
+ * @param {object} props
+ *
+ * @returns {VNode}
+ */
+const Lazy = ({ view }) => view();
+
+/**
+ * Component rendering its children, unless rendering or diffing them fails.
+ * Then the error is reported to `onError` and the `fallback` view is rendered instead of the children,
+ * while the rest of the view keeps working. Without both, the error is passed on to the enclosing boundary.
+ *
+ * @example
+ * h(ErrorBoundary, { fallback: error => h('p', {}, 'No comments'), onError: report }, h(Comments, { id }))
+ *
+ * @param {object} attributes
+ * @param {function(Error): VNode} [attributes.fallback]
+ * @param {function(Error)} [attributes.onError]
+ * @param {Array<VNode>} children
+ *
+ * @returns {Array<VNode>}
+ */
+const ErrorBoundary = (attributes, children) => children;
+
+/**
+ * Parsed templates of `html`, by their strings
+ */
+const templates = new WeakMap();
+
+/**
+ * Tagged template creating node objects from HTML-like markup.
+ * Interpolated values can be used as tagName (components), attribute values,
+ * spread attributes (`...${attributes}`) and children.
+ * Elements can be closed with `</tag>`, `<//>` or `/>`.
+ * Each template is parsed only once.
+ *
+ * @example
+ * html`<ul class="list">${items.map(item => html`<li click=${select(item)}>${item}</li>`)}</ul>`
+ *
+ * @param {Array<string>} strings
+ * @param {...any} values
+ *
+ * @returns {VNode | Array<VNode>} an array, if the template has multiple root nodes
+ */
+const html = (strings, ...values) => {
+  if (!templates.has(strings)) {
+    templates.set(strings, parseTemplate(strings));
+  }
+  const nodes = templates.get(strings).map(node => instantiate(node, values));
+  return 1 === nodes.length ? nodes[0] : nodes;
+};
+
+/**
+ * Parses the strings of a template into a tree, where every interpolated value
+ * is represented by its index: `{ value: index }`.
+ *
+ * @param {Array<string>} strings
+ *
+ * @returns {Array} root nodes of the template tree
+ */
+const parseTemplate = strings => {
+  // every character is a token, every interpolated value an object
+  const tokens = strings.reduce(
+    (tokens, string, i) => tokens.concat(i > 0 ? [{ value: i - 1 }] : [], string.split('')),
+    []
+  );
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isChar = (token, chars) => typeof token === 'string' && chars.includes(token);
+  const startsWith = text => text.split('').every((char, i) => peek(i) === char);
+  const readWhile = predicate => {
+    let text = '';
+    while (position < tokens.length && typeof peek() === 'string' && predicate(peek())) {
+      text += tokens[position++];
+    }
+    return text;
+  };
+  const skipWhitespace = () => readWhile(char => /\s/.test(char));
+  // a `<` only starts a tag if a tag name or an interpolated component follows, otherwise it is text
+  const isTagStart = () =>
+    peek() === '<' && (typeof peek(1) === 'object' || (typeof peek(1) === 'string' && /[a-z]/i.test(peek(1))));
+  const isMarkup = () => startsWith('<!--') || startsWith('</') || isTagStart();
+
+  const parseChildren = () => {
+    const children = [];
+    while (position < tokens.length) {
+      if (startsWith('<!--')) {
+        while (position < tokens.length && !startsWith('-->')) position++;
+        position += 3;
+      } else if (startsWith('</')) {
+        while (position < tokens.length && peek() !== '>') position++;
+        position++;
+        return children;
+      } else if (isTagStart()) {
+        position++;
+        children.push(parseElement());
+      } else if (typeof peek() === 'object') {
+        children.push(tokens[position++]);
+      } else {
+        let text = '';
+        while (position < tokens.length && typeof peek() === 'string' && !isMarkup()) {
+          text += tokens[position++];
+        }
+        text = text.replace(/^\s*\n\s*|\s*\n\s*$/g, '');
+        if ('' !== text) {
+          children.push(decodeReferences(text));
+        }
+      }
+    }
+    return children;
+  };
+
+  const parseElement = () => {
+    const tagName = typeof peek() === 'object' ? tokens[position++] : readWhile(char => !/[\s/>]/.test(char));
+    const attributes = [];
+    while (position < tokens.length) {
+      skipWhitespace();
+      if (startsWith('/>')) {
+        position += 2;
+        return { tagName, attributes, children: [] };
+      }
+      if (peek() === '>') {
+        position++;
+        const isVoid = typeof tagName === 'string' && voidElements.includes(tagName);
+        return { tagName, attributes, children: isVoid ? [] : parseChildren() };
+      }
+      const attribute = parseAttribute();
+      if (attribute) {
+        attributes.push(attribute);
+      }
+    }
+    return { tagName, attributes, children: [] };
+  };
+
+  const parseAttribute = () => {
+    if (startsWith('...') && typeof peek(3) === 'object') {
+      position += 3;
+      return { spread: tokens[position++] };
+    }
+    const name = readWhile(char => !/[\s=/>]/.test(char));
+    if ('' === name) {
+      position++; // skip a stray character like the `/` in `<p/ >`, which would be read again otherwise
+      return null;
+    }
+    if (peek() !== '=') {
+      return { name, parts: [true] };
+    }
+    position++;
+    if (typeof peek() === 'object') {
+      return { name, parts: [tokens[position++]] };
+    }
+    if (!isChar(peek(), '"\'')) {
+      return { name, parts: [decodeReferences(readWhile(char => !/[\s>]/.test(char)))] };
+    }
+    const quote = tokens[position++];
+    const parts = [];
+    while (position < tokens.length && peek() !== quote) {
+      parts.push(
+        typeof peek() === 'object' ? tokens[position++] : decodeReferences(readWhile(char => char !== quote))
+      );
+    }
+    position++;
+    return { name, parts };
+  };
+
+  return parseChildren();
+};
+
+/**
+ * Named character references decoded in the markup of `html`, besides numeric ones
+ */
+const characterReferences = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad',
+  copy: '\u00a9', reg: '\u00ae', deg: '\u00b0', middot: '\u00b7', times: '\u00d7',
+  laquo: '\u00ab', raquo: '\u00bb', ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', euro: '\u20ac',
+};
+
+/**
+ * Decodes the character references of a text, e.g. `&amp;` or `&#38;`.
+ * Unknown named references are kept as they are.
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+const decodeReferences = text =>
+  text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (reference, name) => {
+    if ('#' !== name[0]) {
+      return characterReferences.hasOwnProperty(name) ? characterReferences[name] : reference;
+    }
+    const code = 'x' === name[1].toLowerCase() ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+  });
+
+/**
+ * Creates node objects from a parsed template tree and the interpolated values
+ *
+ * @param {object | string} node node of the template tree
+ * @param {Array<any>} values
+ *
+ * @returns {VNode | any}
+ */
+const instantiate = (node, values) => {
+  const valueOf = part => (typeof part === 'object' ? values[part.value] : part);
+  if (typeof node === 'string') {
+    return node;
+  }
+  if (!('tagName' in node)) {
+    return valueOf(node);
+  }
+  const attributes = node.attributes.reduce((attributes, attribute) => {
+    if (attribute.spread) {
+      return { ...attributes, ...valueOf(attribute.spread) };
+    }
+    attributes[attribute.name] =
+      1 === attribute.parts.length
+        ? valueOf(attribute.parts[0])
+        : attribute.parts.map(valueOf).join('');
+    return attributes;
+  }, {});
+  return vNode(valueOf(node.tagName), attributes, ...node.children.map(child => instantiate(child, values)));
+};
+
+/**
+ * Elements kept by the sanitizer of `raw`, with their allowed attributes
+ */
+const allowedElements = {
+  a: ['href'], abbr: [], b: [], blockquote: ['cite'], br: [], caption: [], cite: [], code: [],
+  dd: [], del: [], div: [], dl: [], dt: [], em: [], figcaption: [], figure: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [], img: ['src', 'alt', 'width', 'height'],
+  ins: [], kbd: [], li: [], mark: [], ol: ['start'], p: [], pre: [], q: ['cite'], s: [], small: [],
+  span: [], strong: [], sub: [], sup: [], table: [], tbody: [], td: ['colspan', 'rowspan'], tfoot: [],
+  th: ['colspan', 'rowspan'], thead: [], time: ['datetime'], tr: [], u: [], ul: [],
+};
+
+/**
+ * Attributes kept by the sanitizer of `raw` on every allowed element
+ */
+const globalAttributes = ['class', 'title', 'lang', 'dir'];
+
+/**
+ * Attributes containing a URL, which is only kept by the sanitizer of `raw` if its scheme is safe
+ */
+const urlAttributes = ['href', 'src', 'cite'];
+
+/**
+ * Elements removed by the sanitizer of `raw` including their content,
+ * all other elements which are not allowed are replaced by their content
+ */
+const droppedElements = [
+  'script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'textarea', 'title',
+];
+
+/**
+ * Creates a node object from HTML markup, which is meant to be rendered as HTML (e.g. formatted comments).
+ * By default, the markup is sanitized: only an allow-list of elements and attributes is kept,
+ * URLs with schemes other than http, https and mailto are removed.
+ * A custom sanitizer can be given, which is called with the markup and returns safe markup,
+ * or `false` if the markup is trusted.
+ * The markup is parsed by the HTML parser of the DOM into an inert template, so no scripts are run
+ * and no resources are loaded while parsing.
+ *
+ * @param {string} markup
+ * @param {object} [options]
+ * @param {boolean | function(string): string} [options.sanitize=true]
+ *
+ * @returns {VNode} fragment containing the nodes of the markup
+ */
+const raw = (markup, { sanitize = true } = {}) => {
+  if (typeof sanitize === 'function') {
+    markup = sanitize(String(markup));
+  }
+  const $template = document.createElement('template');
+  $template.innerHTML = String(markup);
+  const nodes = Array.from($template.content.childNodes).map($node => markupNode($node, true === sanitize));
+  return vNode(Fragment, {}, ...nodes);
+};
+
+/**
+ * Creates a node object from a DOM node of parsed markup, see `raw`.
+ * Comments and other nodes which are neither elements nor text are dropped.
+ *
+ * @param {Node} $node
+ * @param {boolean} sanitize if elements and attributes which are not allowed should be removed
+ *
+ * @returns {VNode | string}
+ */
+const markupNode = ($node, sanitize) => {
+  if ($node.nodeType === Node.TEXT_NODE) {
+    return $node.nodeValue;
+  }
+  if ($node.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+  const tagName = $node.localName;
+  const $children = 'template' === tagName ? $node.content.childNodes : $node.childNodes;
+  const children = Array.from($children).map($child => markupNode($child, sanitize));
+  if (sanitize && !allowedElements.hasOwnProperty(tagName)) {
+    return droppedElements.includes(tagName) ? '' : vNode(Fragment, {}, ...children);
+  }
+  const attributes = Array.from($node.attributes)
+    .filter(({ name, value }) => !sanitize || attributeAllowed(tagName, name, value))
+    .reduce((attributes, { name, value }) => {
+      attributes[name] = value;
+      return attributes;
+    }, {});
+  return vNode(tagName, attributes, ...children);
+};
+
+/**
+ * Checks if the sanitizer of `raw` keeps an attribute
+ *
+ * @param {string} tagName
+ * @param {string} name
+ * @param {string} value
+ *
+ * @returns {boolean}
+ */
+const attributeAllowed = (tagName, name, value) => {
+  if (!globalAttributes.includes(name) && !allowedElements[tagName].includes(name)) return false;
+  if (!urlAttributes.includes(name)) return true;
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(String(value).replace(/[\s\u0000-\u001f]/g, ''));
+  return null == scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+};
+
+/**
+ * Converts a DOM Node to a Virtual Node.
+ * Text nodes are converted to strings and tag names are normalized (lower case for HTML).
+ *
+ * Whitespace handling (the content of `pre` and `textarea` is always preserved):
+ * - `preserve` keeps every text node as is, so the result matches the DOM node for node
+ * - `collapse` replaces sequences of whitespace with a single space
+ * - `trim` additionally removes text nodes consisting only of whitespace
+ *
+ * @param {Node} $node
+ * @param {object} [options]
+ * @param {'preserve' | 'collapse' | 'trim'} [options.whitespace='preserve']
+ * @param {boolean} [options.comments=false] if comments should be converted to `#comment` nodes
+ *
+ * @returns {VNode | string}
+ */
+const toVDOM = ($node, { whitespace = 'preserve', comments = false } = {}) => {
+  const convert = ($node, whitespace) => {
+    if ($node.nodeType === Node.TEXT_NODE) {
+      return 'preserve' === whitespace ? $node.nodeValue : $node.nodeValue.replace(/\s+/g, ' ');
+    }
+    if ($node.nodeType === Node.COMMENT_NODE) {
+      return vNode(commentTag, {}, $node.nodeValue);
+    }
+    const childWhitespace = ['pre', 'textarea'].includes($node.localName) ? 'preserve' : whitespace;
+    const children = Array.from($node.childNodes)
+      .filter($child => $child.nodeType !== Node.COMMENT_NODE || comments)
+      .filter($child => $child.nodeType !== Node.TEXT_NODE || 'trim' !== childWhitespace || '' !== $child.nodeValue.trim())
+      .map($child => convert($child, childWhitespace));
+    return vNode($node.localName, attributesOf($node), children);
+  };
+  return convert($node, whitespace);
+};
+
+/**
+ * Reads the attributes of a DOM element
+ *
+ * @param {HTMLElement} $element
+ *
+ * @returns {object}
+ */
+const attributesOf = $element =>
+  Object.values($element.attributes).reduce((attributes, attribute) => {
+    attributes[attribute.name] = attribute.value;
+    return attributes;
+  }, {});
+
+/**
+ * Renders a given node object
+ * Considers ELEMENT_NODE, TEXT_NODE and DOCUMENT_FRAGMENT_NODE https://developer.mozilla.org/en-US/docs/Web/API/Node/nodeType
+ * SVG and MathML subtrees are created in their namespace.
+ *
+ * @param {VNode | Array<VNode>} node
+ * @param {string} [namespace] namespace URI of the parent, if it is not HTML
+ *
+ * @returns {HTMLElement}
+ */
+const render = (node, namespace) => lifecycle(() => renderNode(node, namespace));
+
+/**
+ * Renders a given node object, see `render`
+ *
+ * @param {VNode | Array<VNode>} node
+ * @param {string} [namespace]
+ *
+ * @returns {HTMLElement}
+ */
+const renderNode = (node, namespace) => {
+  node = normalize(node);
+  if (typeof node === 'string' || typeof node === 'number') {
+    return document.createTextNode(node);
+  }
+  if (isComponent(node)) {
+    return bounded(node, renderComponent(node), output => renderNode(output, namespace));
+  }
+  if (isComment(node)) {
+    return document.createComment(node.children.join(''));
+  }
+  if (isPortal(node)) {
+    const $placeholder = document.createTextNode('');
+    openPortal($placeholder, node);
+    return $placeholder;
+  }
+  if (isFragment(node)) {
+    const $fragment = document.createDocumentFragment();
+    provided(node, () => node.children.forEach(c => $fragment.appendChild(renderNode(c, namespace))));
+    return $fragment;
+  }
+  const $element = createDomElement(node.tagName, {}, '', namespaces[node.tagName] || namespace);
+  node.children.forEach(c => $element.appendChild(renderNode(c, childNamespace($element))));
+  patchAttributes($element, node.attributes, {}); // after the children, so a select's value can be set
+  created($element, node.attributes);
+  return $element;
+};
+
+/**
+ * DOM positions of the rendered portals, by their placeholders
+ */
+const portals = new WeakMap();
+
+/**
+ * Renders the content of a portal node at the end of its target,
+ * behind an empty text node which marks where the content starts
+ *
+ * @param {Text} $placeholder
+ * @param {VNode} node portal node
+ */
+const openPortal = ($placeholder, node) => {
+  const $target = node.attributes.target;
+  if (null != currentDelegation) {
+    currentDelegation.addContainer($target);
+  }
+  const $anchor = document.createTextNode('');
+  $target.appendChild($anchor);
+  node.children.forEach(c => $target.appendChild(renderNode(c, childNamespace($target))));
+  portals.set($placeholder, { $target, $anchor });
+};
+
+/**
+ * Returns the target of a rendered portal and the index of its content's first DOM node
+ *
+ * @param {Text} $placeholder
+ *
+ * @returns {{ $target: HTMLElement, offset: number }}
+ */
+const portalPosition = $placeholder => {
+  const { $target, $anchor } = portals.get($placeholder);
+  return { $target, offset: Array.from($target.childNodes).indexOf($anchor) + 1 };
+};
+
+/**
+ * Returns the namespace URI of the children of an element, if it is not HTML.
+ * Children of a `foreignObject` are HTML again.
+ *
+ * @param {Node} $element
+ *
+ * @returns {string | undefined}
+ */
+const childNamespace = $element =>
+  Object.values(namespaces).includes($element.namespaceURI) && $element.localName !== 'foreignObject'
+    ? $element.namespaceURI
+    : undefined;
+
+/**
+ * Elements which have no closing tag
+ */
+const voidElements = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+];
+
+/**
+ * Renders a given node object to an HTML string, without using the DOM.
+ * Event listeners and empty attributes are omitted,
+ * boolean attributes are rendered without a value if true and omitted if false.
+ * Effects of components are not called.
+ *
+ * @param {VNode | Array<VNode>} node
+ *
+ * @returns {string}
+ */
+const renderToString = node => {
+  const queued = lifecycleQueue.length;
+  try {
+    return renderNodeToString(node);
+  } finally {
+    lifecycleQueue.splice(queued);
+  }
+};
+
+/**
+ * Elements whose text is not decoded by the browser, so it is rendered without escaping
+ */
+const rawTextElements = ['script', 'style'];
+
+/**
+ * Renders a given node object to an HTML string, see `renderToString`.
+ * The value of a select is rendered as its selected option, the value of a textarea as its content.
+ * The text of scripts and styles is not escaped, only `</` is, so it cannot close the element.
+ *
+ * @param {VNode | Array<VNode>} node
+ * @param {string} [selectValue] value of the select containing the node
+ *
+ * @returns {string}
+ */
+const renderNodeToString = (node, selectValue) => {
+  node = normalize(node);
+  if (typeof node === 'string' || typeof node === 'number') {
+    return escape(node);
+  }
+  if (isComponent(node)) {
+    return bounded(node, renderComponent(node), output => renderNodeToString(output, selectValue));
+  }
+  if (isComment(node)) {
+    return `<!--${node.children.join('').replace(/--/g, '- -')}-->`;
+  }
+  if (isPortal(node)) {
+    return ''; // the content is rendered into its target on the client
+  }
+  const { tagName } = node;
+  const { value: controlValue, ...rest } = node.attributes;
+  const hasValue = null != controlValue && ('select' === tagName || 'textarea' === tagName);
+  const childSelectValue = hasValue && 'select' === tagName ? String(controlValue) : selectValue;
+  const renderChild = rawTextElements.includes(tagName)
+    ? child => (isText(child) ? String(child).replace(/<\//g, '<\\/') : renderNodeToString(child))
+    : child => renderNodeToString(child, childSelectValue);
+  const children =
+    hasValue && 'textarea' === tagName
+      ? escape(controlValue)
+      : provided(node, () => node.children.map(renderChild).join(''));
+  if (isFragment(node)) {
+    return children;
+  }
+  const attributes = hasValue ? rest : { ...node.attributes };
+  if ('option' === tagName && null != selectValue && !attributes.selected) {
+    const optionValue = null != controlValue ? escape(controlValue) : children.trim();
+    attributes.selected = escape(selectValue) === optionValue;
+  }
+  const attributeMarkup = Object.keys(attributes)
+    .filter(key => !lifecycleAttributes.includes(key))
+    .map(key => [key, attributes[key]])
+    .filter(([_, value]) => null != value && false !== value && typeof value !== 'function')
+    .map(([key, value]) => (true === value ? ` ${key}` : ` ${key}="${escape(attributeString(key, value))}"`))
+    .join('');
+  if (voidElements.includes(tagName)) {
+    return `<${tagName}${attributeMarkup}>`;
+  }
+  return `<${tagName}${attributeMarkup}>${children}</${tagName}>`;
+};
+
+/**
+ * Escapes HTML special characters of a text or attribute value
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+const escape = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Output of the latest call of every rendered component node
+ */
+const componentOutputs = new WeakMap();
+
+/**
+ * Hooks of every rendered component node, which are passed on to the node replacing it when diffing
+ */
+const componentHooks = new WeakMap();
+
+/**
+ * Hooks of the components, whose state changed since they were called
+ */
+const changedHooks = new Set();
+
+/**
+ * Hooks of the component which is currently called, see `useState`
+ */
+let currentHooks = null;
+let hookIndex = 0;
+
+/**
+ * Schedules a refresh of the mounted view which is currently painted, see `paintView`
+ */
+let currentInvalidate = null;
+
+/**
+ * If the view which is currently painted is replaced instead of diffed, see `replace`
+ */
+let replacing = false;
+
+/**
+ * Calls an operation painting a view which is not mounted (e.g. by `PuerroController`),
+ * so the components it renders schedule the given refresh when their state changes, see `flush`.
+ *
+ * @param {function()} refresh repaints the view, only scheduled once until it is called
+ * @param {function(): *} operation
+ *
+ * @returns {*} result of the operation
+ */
+const withRefresh = (refresh, operation) => {
+  const outerInvalidate = currentInvalidate;
+  currentInvalidate = () => scheduleRefresh(refresh, 'microtask');
+  try {
+    return operation();
+  } finally {
+    currentInvalidate = outerInvalidate;
+  }
+};
+
+/**
+ * Calls the function of a component node and remembers its output for diffing
+ *
+ * @param {VNode} node component node
+ * @param {VNode} [oldNode] component node which is replaced, whose hooks are kept
+ *
+ * @returns {VNode}
+ */
+const renderComponent = (node, oldNode = node) => {
+  const hooks = componentHooks.get(oldNode) || { list: [], invalidate: currentInvalidate, unmounted: false };
+  changedHooks.delete(hooks);
+  hooks.contexts = currentContexts;
+  componentHooks.set(node, hooks);
+  const [outerHooks, outerIndex] = [currentHooks, hookIndex];
+  [currentHooks, hookIndex] = [hooks, 0];
+  try {
+    const output = normalize(node.tagName(node.attributes, node.children));
+    componentOutputs.set(node, output);
+    return output;
+  } finally {
+    [currentHooks, hookIndex] = [outerHooks, outerIndex];
+  }
+};
+
+/**
+ * Calls an operation with the output of a component.
+ * If the component is an error boundary and the operation fails, the hooks queued and the patches
+ * computed by the operation are discarded and it is called with the fallback view instead, see `ErrorBoundary`.
+ *
+ * @param {VNode} node component node
+ * @param {VNode} output
+ * @param {function(VNode): *} operation
+ * @param {Array<Patch>} [patches] computed by the operation
+ *
+ * @returns {*} result of the operation
+ */
+const bounded = (node, output, operation, patches = []) => {
+  if (ErrorBoundary !== node.tagName) {
+    return operation(output);
+  }
+  const [queued, computed] = [lifecycleQueue.length, patches.length];
+  try {
+    return operation(output);
+  } catch (error) {
+    const { fallback, onError } = node.attributes;
+    if (null == fallback && null == onError) throw error;
+    lifecycleQueue.splice(queued);
+    patches.splice(computed);
+    if (null != onError) {
+      onError(error);
+    }
+    const fallbackOutput = normalize(null == fallback ? null : fallback(error));
+    componentOutputs.set(node, fallbackOutput);
+    return operation(fallbackOutput);
+  }
+};
+
+/**
+ * Returns the next hook of the component which is currently called.
+ * Hooks are identified by their order, so they must be called in the same order on every call.
+ *
+ * @returns {object}
+ */
+const nextHook = () => {
+  if (null == currentHooks) {
+    throw new Error('Hooks can only be used inside functional components');
+  }
+  const index = hookIndex++;
+  if (null == currentHooks.list[index]) {
+    currentHooks.list[index] = {};
+  }
+  return currentHooks.list[index];
+};
+
+/**
+ * Checks if the dependencies of a hook changed. Without dependencies, they always change.
+ *
+ * @param {Array<*>} [oldDeps]
+ * @param {Array<*>} [newDeps]
+ *
+ * @returns {boolean}
+ */
+const depsChanged = (oldDeps, newDeps) =>
+  null == oldDeps ||
+  null == newDeps ||
+  oldDeps.length !== newDeps.length ||
+  newDeps.some((dep, i) => !Object.is(dep, oldDeps[i]));
+
+/**
+ * Local state of a functional component, which is kept as long as the component is diffed.
+ * Changing it refreshes the mounted view the component belongs to.
+ * Views which are replaced instead of diffed reset it on every repaint, which is warned about.
+ *
+ * @param {* | function(): *} initialValue or a function returning it
+ *
+ * @returns {[*, function(* | function(*): *)]} current value and a function to change it
+ */
+const useState = initialValue => {
+  const hook = nextHook();
+  if (null == hook.setValue) {
+    if (replacing) {
+      console.warn('State of a component is reset, as its view is replaced. Hooks need diffing.');
+    }
+    const hooks = currentHooks;
+    hook.value = typeof initialValue === 'function' ? initialValue() : initialValue;
+    hook.setValue = newValue => {
+      newValue = typeof newValue === 'function' ? newValue(hook.value) : newValue;
+      if (Object.is(newValue, hook.value)) return;
+      hook.value = newValue;
+      changedHooks.add(hooks);
+      if (hooks.unmounted) return;
+      if (null != hooks.invalidate) {
+        hooks.invalidate();
+      } else {
+        console.warn('State changed in a component, which is not repainted. Paint it with mount or withRefresh.');
+      }
+    };
+  }
+  return [hook.value, hook.setValue];
+};
+
+/**
+ * Calls an effect of a functional component once its DOM is painted, if its dependencies changed.
+ * A cleanup function returned by the effect is called before the next effect and when the component is removed.
+ *
+ * @param {function(): (function() | undefined)} effect
+ * @param {Array<*>} [deps] the effect is called after every paint without them
+ */
+const useEffect = (effect, deps) => {
+  const hook = nextHook();
+  if (!hook.called || depsChanged(hook.deps, deps)) {
+    hook.called = true;
+    hook.deps = deps;
+    lifecycleQueue.push(() => {
+      cleanup(hook);
+      hook.cleanup = effect();
+    });
+  }
+};
+
+/**
+ * Returns a value computed by a functional component, which is only computed again if its dependencies changed
+ *
+ * @param {function(): *} compute
+ * @param {Array<*>} [deps]
+ *
+ * @returns {*}
+ */
+const useMemo = (compute, deps) => {
+  const hook = nextHook();
+  if (!hook.computed || depsChanged(hook.deps, deps)) {
+    hook.computed = true;
+    hook.deps = deps;
+    hook.value = compute();
+  }
+  return hook.value;
+};
+
+/**
+ * Creates a context, whose value is provided to all components within a provider node, see `provide`
+ *
+ * @param {*} [defaultValue] value outside of any provider node
+ *
+ * @returns {{ defaultValue: * }}
+ */
+const createContext = defaultValue => ({ defaultValue });
+
+/**
+ * Creates a provider node, which renders its children like a fragment
+ * and provides a context value to the components within
+ *
+ * @param {{ defaultValue: * }} context
+ * @param {*} value
+ * @param {...VNode} nodes
+ *
+ * @returns {VNode}
+ */
+const provide = (context, value, ...nodes) => vNode(Fragment, { context, value }, ...nodes);
+
+/**
+ * Returns the value of a context provided by the nearest provider node around the current component
+ *
+ * @param {{ defaultValue: * }} context
+ *
+ * @returns {*}
+ */
+const useContext = context => {
+  nextHook();
+  return currentContexts.has(context) ? currentContexts.get(context) : context.defaultValue;
+};
+
+/**
+ * Context values provided to the nodes which are currently rendered or diffed
+ */
+let currentContexts = new Map();
+
+/**
+ * Executes an operation on the children of a node with the context value it provides, if it is a provider
+ *
+ * @param {VNode} node
+ * @param {function(): *} operation
+ *
+ * @returns {*} result of the operation
+ */
+const provided = (node, operation) => {
+  if (!isFragment(node) || null == node.attributes.context) {
+    return operation();
+  }
+  const { context, value } = node.attributes;
+  return withContexts(new Map(currentContexts).set(context, value), operation);
+};
+
+/**
+ * Executes an operation with the given context values
+ *
+ * @param {Map} contexts
+ * @param {function(): *} operation
+ *
+ * @returns {*} result of the operation
+ */
+const withContexts = (contexts, operation) => {
+  const outerContexts = currentContexts;
+  currentContexts = contexts;
+  try {
+    return operation();
+  } finally {
+    currentContexts = outerContexts;
+  }
+};
+
+/**
+ * Calls the cleanup function of an effect hook, if there is one
+ *
+ * @param {object} hook
+ */
+const cleanup = hook => {
+  if (typeof hook.cleanup === 'function') {
+    hook.cleanup();
+  }
+  hook.cleanup = null;
+};
+
+/**
+ * Checks if a given node is a functional component
+ *
+ * @param {VNode} node
+ *
+ * @returns {boolean}
+ */
+const isComponent = node => null != node && typeof node.tagName === 'function';
+
+/**
+ * Checks if a given node is a comment
+ *
+ * @param {VNode} node
+ *
+ * @returns {boolean}
+ */
+const isComment = node => null != node && node.tagName === commentTag;
+
+/**
+ * Checks if a given node is a portal
+ *
+ * @param {VNode} node
+ *
+ * @returns {boolean}
+ */
+const isPortal = node => null != node && node.tagName === portalTag;
+
+/**
+ * Checks if a given node is a fragment
+ *
+ * @param {VNode} node
+ *
+ * @returns {boolean}
+ */
+const isFragment = node => null != node && node.tagName === Fragment;
+
+/**
+ * Returns the number of DOM nodes a rendered node consists of
+ *
+ * @param {VNode} node
+ *
+ * @returns {number}
+ */
+const domLength = node => {
+  if (isFragment(node)) {
+    return node.children.reduce((length, child) => length + domLength(normalize(child)), 0);
+  }
+  if (isComponent(node)) {
+    return domLength(componentOutputs.get(node));
+  }
+  return 1;
+};
+
+/**
+ * Schedulers deciding when a refresh of a mounted view happens
+ */
+const schedulers = {
+  sync:           callback => callback(),
+  microtask:      callback => Promise.resolve().then(callback),
+  animationFrame: callback => requestAnimationFrame(callback),
+};
+
+/**
+ * Refreshes which are scheduled but not executed yet
+ */
+const scheduledRefreshes = new Set();
+
+/**
+ * Schedules a refresh, unless it is scheduled already.
+ * Multiple state changes are therefore painted at once.
+ *
+ * @param {function()} refresh
+ * @param {'sync' | 'microtask' | 'animationFrame'} schedule
+ */
+const scheduleRefresh = (refresh, schedule) => {
+  if (scheduledRefreshes.has(refresh)) return;
+  scheduledRefreshes.add(refresh);
+  schedulers[schedule](() => {
+    if (scheduledRefreshes.delete(refresh)) {
+      refresh();
+    }
+  });
+};
+
+/**
+ * Executes all scheduled refreshes immediately (e.g. in tests)
+ */
+const flush = () => {
+  while (scheduledRefreshes.size > 0) {
+    const refreshes = Array.from(scheduledRefreshes);
+    scheduledRefreshes.clear();
+    refreshes.forEach(refresh => refresh());
+  }
+};
+
+/**
+ * Handle of a mounted view, which controls its lifetime
+ *
+ * @typedef {object} MountHandle
+ * @property {function()} unmount removes the DOM of the view and stops refreshing it
+ * @property {function(): object} getState returns the current state (the model for `mountMVC`)
+ * @property {function(object | function(object): object)} setState changes the state, see `mount`
+ * @property {function()} refresh repaints the view immediately
+ */
+
+/**
+ * Renders given stateful view into given container.
+ * State changes are batched and painted by a single refresh, see `flush`.
+ *
+ * @param {HTMLElement} $root
+ * @param {function(): VNode} view
+ * @param {object} state
+ * @param {boolean} diffing
+ * @param {object} [options]
+ * @param {'sync' | 'microtask' | 'animationFrame'} [options.schedule='microtask'] when to refresh after a state change
+ * @param {function(Error, object): VNode} [options.fallback] view painted instead, if painting the view fails
+ * @param {function(Error, object)} [options.onError] called with the error and the state which caused it
+ * @param {boolean} [options.delegate=false] if events should be handled by a single listener per event type on $root
+ *
+ * @returns {MountHandle}
+ */
+const mount = ($root, view, state, diffing = true, options = {}) =>
+  mountState($root, view, state, diffing, options, vDom =>
+    lifecycle(() => $root.prepend(renderNode(vDom)))
+  );
+
+/**
+ * Renders given stateful view into given container, reusing its server-rendered markup.
+ * Event listeners are attached to the existing DOM nodes, mismatches are warned about and repaired.
+ *
+ * @param {HTMLElement} $root
+ * @param {function(): VNode} view
+ * @param {object} state
+ * @param {object} [options] see `mount`
+ *
+ * @returns {MountHandle}
+ */
+const hydrate = ($root, view, state, options = {}) =>
+  mountState($root, view, state, true, options, vDom =>
+    lifecycle(() => {
+      hydrateNode($root, vDom, 0);
+      removeSurplus($root, domLength(vDom));
+    })
+  );
+
+/**
+ * Paints given stateful view initially and refreshes it on every state change
+ *
+ * @param {HTMLElement} $root
+ * @param {function(): VNode} view
+ * @param {object} state
+ * @param {boolean} diffing
+ * @param {object} options
+ * @param {function(VNode)} paint initial painting of the virtual DOM
+ *
+ * @returns {MountHandle}
+ */
+const mountState = ($root, view, state, diffing, options, paint) => {
+  const { schedule = 'microtask', delegate, ...boundary } = options;
+  let mounted = true;
+  const params = {
+    get state() {
+      return state;
+    },
+    setState,
+  };
+
+  const paintOptions = { ...boundary, invalidate, delegation: delegate ? createDelegation($root) : null };
+  const paintDom = (newVDom, oldVDom) =>
+    null == oldVDom ? paint(newVDom) : repaint($root, newVDom, oldVDom, diffing);
+  let vDom = paintView(() => view(params), paintDom, paintOptions, state);
+
+  function setState(newState) {
+    if (typeof newState === 'function') {
+      state = { ...state, ...newState(state) };
+    } else {
+      state = { ...state, ...newState };
+    }
+    invalidate();
+  }
+
+  function invalidate() {
+    if (mounted) {
+      scheduleRefresh(refresh, schedule);
+    }
+  }
+
+  function refresh() {
+    scheduledRefreshes.delete(refresh);
+    if (!mounted) return;
+    vDom = paintView(() => view(params), paintDom, paintOptions, state, vDom);
+  }
+
+  return {
+    unmount() {
+      if (!mounted) return;
+      mounted = false;
+      scheduledRefreshes.delete(refresh);
+      unmountView($root, vDom, paintOptions.delegation);
+    },
+    getState: () => state,
+    setState,
+    refresh,
+  };
+};
+
+ /**
+  * Renders given stateful view into given container (MVC approach)
+  * Model changes are batched and painted by a single refresh, see `flush`.
+  * 
+  * @param {HTMLElement} $root 
+  * @param {object} model 
+  * @param {function(): VNode} view 
+  * @param {any} controller 
+  * @param {boolean} diffing 
+  * @param {object} [options] see `mount`, errors are reported with the model
+  *
+  * @returns {MountHandle} whose `setState` merges into the model like the one of `mount`,
+  * while the controller's refresh replaces the model
+  */
+const mountMVC = ($root, model, view, controller, diffing = true, options = {}) => {
+  const { schedule = 'microtask', delegate, ...boundary } = options;
+  let mounted = true;
+  const paintOptions = { ...boundary, invalidate, delegation: delegate ? createDelegation($root) : null };
+  const paintDom = (newVDom, oldVDom) =>
+    null == oldVDom
+      ? lifecycle(() => $root.prepend(renderNode(newVDom)))
+      : repaint($root, newVDom, oldVDom, diffing);
+  let vDom = paintView(() => view(controller(model, refresh)), paintDom, paintOptions, model);
+
+  function refresh(newModel) {
+    model = newModel;
+    invalidate();
+  }
+
+  function setState(newState) {
+    const changes = typeof newState === 'function' ? newState(model) : newState;
+    refresh({ ...model, ...changes });
+  }
+
+  function invalidate() {
+    if (mounted) {
+      scheduleRefresh(repaintModel, schedule);
+    }
+  }
+
+  function repaintModel() {
+    scheduledRefreshes.delete(repaintModel);
+    if (!mounted) return;
+    vDom = paintView(() => view(controller(model, refresh)), paintDom, paintOptions, model, vDom);
+  }
+
+  return {
+    unmount() {
+      if (!mounted) return;
+      mounted = false;
+      scheduledRefreshes.delete(repaintModel);
+      unmountView($root, vDom, paintOptions.delegation);
+    },
+    getState: () => model,
+    setState,
+    refresh: repaintModel,
+  };
+};
+
+/**
+ * Calls a view and paints its virtual DOM, it is the outermost error boundary of the view.
+ * If either fails, the error is reported along with the state which caused it
+ * and the fallback view is painted instead. Without a fallback view, the DOM is left as it is.
+ * Without both, the error is thrown.
+ * If a lifecycle hook fails after the DOM is painted, the fallback view replaces the painted DOM.
+ *
+ * @param {function(): VNode} view
+ * @param {function(VNode, VNode)} paint paints the new virtual DOM over the painted one, if any
+ * @param {object} options
+ * @param {function(Error, object): VNode} [options.fallback]
+ * @param {function(Error, object)} [options.onError]
+ * @param {function()} options.invalidate schedules a refresh, used by the components of the view
+ * @param {object} [options.delegation] event delegation of the view, see `createDelegation`
+ * @param {object} state
+ * @param {VNode} [vDom] virtual DOM which is painted currently
+ *
+ * @returns {VNode} virtual DOM which is painted now
+ */
+const paintView = (view, paint, { fallback, onError, invalidate, delegation }, state, vDom) => {
+  const [outerInvalidate, outerDelegation] = [currentInvalidate, currentDelegation];
+  [currentInvalidate, currentDelegation] = [invalidate, delegation];
+  let painted = vDom;
+  try {
+    const newVDom = normalize(view());
+    lifecycle(() => {
+      paint(newVDom, vDom);
+      painted = newVDom; // before the hooks are called
+    });
+    return newVDom;
+  } catch (error) {
+    if (null == fallback && null == onError) throw error;
+    if (null != onError) {
+      onError(error, state);
+    }
+    if (null == fallback) return painted;
+    const fallbackVDom = normalize(fallback(error, state));
+    paint(fallbackVDom, painted);
+    return fallbackVDom;
+  } finally {
+    [currentInvalidate, currentDelegation] = [outerInvalidate, outerDelegation];
+  }
+};
+
+/**
+ * Paints the new virtual DOM of a mounted view over the old one
+ *
+ * @param {HTMLElement} $root
+ * @param {VNode} newVDom
+ * @param {VNode} [oldVDom] nothing is painted yet, if a view failed initially
+ * @param {boolean} diffing if the DOM should be patched instead of replaced
+ */
+const repaint = ($root, newVDom, oldVDom, diffing) =>
+  lifecycle(() => {
+    if (diffing || null == oldVDom) {
+      diff($root, newVDom, oldVDom);
+    } else {
+      replace($root, newVDom, oldVDom);
+    }
+  });
+
+/**
+ * Removes the DOM nodes of a mounted view, its event delegation and calls the remove hooks of its elements
+ *
+ * @param {HTMLElement} $root
+ * @param {VNode} vDom
+ * @param {object} [delegation]
+ */
+const unmountView = ($root, vDom, delegation) =>
+  lifecycle(() => {
+    if (null != delegation) {
+      delegation.remove();
+    }
+    if (null == vDom) return;
+    unmountNode($root, vDom, 0);
+    removeNodes($root, 0, domLength(vDom));
+  });
+
+/**
+ * Walks the existing DOM along a VDOM node and attaches its event listeners.
+ * Mismatching nodes and attributes are warned about and repaired.
+ *
+ * @param {HTMLElement} $parent
+ * @param {VNode} node
+ * @param {number} index
+ */
+const hydrateNode = ($parent, node, index) => {
+  node = normalize(node);
+  if (isComponent(node)) {
+    bounded(node, renderComponent(node), output => hydrateNode($parent, output, index));
+    return;
+  }
+  if (isFragment(node)) {
+    provided(node, () => hydrateChildren($parent, node.children, index));
+    return;
+  }
+  if (isPortal(node)) {
+    hydrateNode($parent, '', index);
+    openPortal($parent.childNodes[index], node);
+    return;
+  }
+  // whitespace of formatted markup is not part of the view, unless the view's text starts with it
+  while (
+    isWhitespace($parent.childNodes[index]) &&
+    !(isText(node) && '' !== String(node) && $parent.childNodes[index].nodeValue.startsWith(String(node)))
+  ) {
+    $parent.removeChild($parent.childNodes[index]);
+  }
+  const $node = $parent.childNodes[index];
+  if (isText(node)) {
+    const text = String(node);
+    if ('' === text && (null == $node || $node.nodeType !== Node.TEXT_NODE)) {
+      $parent.insertBefore(document.createTextNode(''), $node || null); // empty text is not serialized
+    } else if (null != $node && $node.nodeType === Node.TEXT_NODE && $node.nodeValue.startsWith(text)) {
+      if ($node.nodeValue.length > text.length) {
+        $node.splitText(text.length); // adjacent text nodes are merged in markup
+      }
+    } else {
+      mismatch($parent, node, index, `text "${text}"`);
+    }
+    return;
+  }
+  if (isComment(node)) {
+    if (null == $node || $node.nodeType !== Node.COMMENT_NODE) {
+      mismatch($parent, node, index, 'comment');
+    }
+    return;
+  }
+  if (null == $node || $node.nodeType !== Node.ELEMENT_NODE || $node.localName.toLowerCase() !== node.tagName.toLowerCase()) {
+    mismatch($parent, node, index, `element <${node.tagName}>`);
+    return;
+  }
+
+  const attributes = attributesOf($node);
+  Object.keys({ ...attributes, ...node.attributes })
+    .filter(key => typeof node.attributes[key] !== 'function')
+    .filter(key => !lifecycleAttributes.includes(key))
+    .filter(key => !isProperty($node, key))
+    .filter(key => !attributeMatches(key, attributes[key], node.attributes[key]))
+    .forEach(key => {
+      console.warn(`Hydration mismatch: expected ${key}="${node.attributes[key]}" on`, $node);
+      patchAttribute($node, key, node.attributes[key], attributes[key]);
+    });
+  Object.keys(node.attributes)
+    .filter(key => typeof node.attributes[key] === 'function')
+    .forEach(key => patchAttribute($node, key, node.attributes[key]));
+
+  // the content of a textarea is rendered from its value
+  if ('textarea' !== node.tagName || null == node.attributes.value) {
+    removeSurplus($node, hydrateChildren($node, node.children, 0));
+  }
+  // after the children, so a select's value can be set
+  Object.keys(node.attributes)
+    .filter(key => isProperty($node, key))
+    .forEach(key => setProperty($node, key, node.attributes[key]));
+  created($node, node.attributes);
+};
+
+/**
+ * Checks if a DOM node is a text node containing only whitespace
+ *
+ * @param {Node} [$node]
+ *
+ * @returns {boolean}
+ */
+const isWhitespace = $node => null != $node && $node.nodeType === Node.TEXT_NODE && /^\s+$/.test($node.nodeValue);
+
+/**
+ * Removes the DOM nodes after the hydrated ones, warning about all but whitespace
+ *
+ * @param {HTMLElement} $parent
+ * @param {number} length number of hydrated DOM nodes
+ */
+const removeSurplus = ($parent, length) => {
+  const surplus = Array.from($parent.childNodes).slice(length);
+  if (surplus.some($node => !isWhitespace($node))) {
+    console.warn(`Hydration mismatch: removing surplus nodes of`, $parent);
+  }
+  removeNodes($parent, length, surplus.length);
+};
+
+/**
+ * Hydrates the children of a VDOM node, starting at the given index
+ *
+ * @param {HTMLElement} $parent
+ * @param {Array<VNode>} children
+ * @param {number} index
+ *
+ * @returns {number} index after the last hydrated DOM node
+ */
+const hydrateChildren = ($parent, children, index) =>
+  children.map(normalize).reduce((index, child) => {
+    hydrateNode($parent, child, index);
+    return index + domLength(child);
+  }, index);
+
+/**
+ * Checks if a server-rendered attribute value matches the value of a VDOM attribute
+ *
+ * @param {string} key
+ * @param {string} [actual] value of the DOM attribute
+ * @param {*} expected value of the VDOM attribute
+ *
+ * @returns {boolean}
+ */
+const attributeMatches = (key, actual, expected) => {
+  if (null == expected || false === expected) {
+    return null == actual;
+  }
+  if (true === expected) {
+    return null != actual; // boolean attributes are rendered without value
+  }
+  return attributeString(key, expected) === actual;
+};
+
+/**
+ * Warns about a DOM node not matching its VDOM node and replaces it
+ *
+ * @param {HTMLElement} $parent
+ * @param {VNode} node
+ * @param {number} index
+ * @param {string} expected description of the expected DOM node
+ */
+const mismatch = ($parent, node, index, expected) => {
+  const $node = $parent.childNodes[index];
+  console.warn(`Hydration mismatch: expected ${expected} but found`, $node);
+  $parent.insertBefore(renderNode(node, childNamespace($parent)), $node || null);
+  if (null != $node) {
+    $parent.removeChild($node);
+  }
+};
+
+/**
+ * Compares two VDOM nodes and applies the differences to the dom.
+ * Nodes of the same type are patched in place, others are replaced.
+ *
+ * @param {HTMLElement} $parent
+ * @param {VNode} oldNode
+ * @param {VNode} newNode
+ * @param {number} index
+ */
+const diff = ($parent, newNode, oldNode, index = 0) =>
+  lifecycle(() => applyPatches($parent, computePatches(oldNode, newNode, index)));
+
+/**
+ * Compares two VDOM nodes without touching the DOM and returns the operations
+ * which turn the DOM of the old node into the DOM of the new node, see `applyPatches`.
+ * Components are called while comparing, so created nodes contain their output instead,
+ * and their output and hooks are kept for the next comparison.
+ * Their effects are only called once the patches are applied by `applyPatches`.
+ * Every patch addresses its DOM node by the child indices leading to it from the root,
+ * which are valid once the preceding patches are applied.
+ *
+ * @param {VNode} oldNode node which was rendered or diffed before
+ * @param {VNode} newNode
+ * @param {number} [index=0] index of the node's first DOM node in the root
+ *
+ * @returns {Array<Patch>}
+ */
+const computePatches = (oldNode, newNode, index = 0) => {
+  // arrays are rendered as fragments, while null creates or removes the node
+  [oldNode, newNode] = [oldNode, newNode].map(node => (null == node ? node : normalize(node)));
+  const patches = [];
+  const queued = lifecycleQueue.length;
+  try {
+    diffNode(patches, [], newNode, oldNode, index);
+  } finally {
+    patchEffects.set(patches, lifecycleQueue.splice(queued));
+  }
+  return patches;
+};
+
+/**
+ * Effects of the components called by `computePatches`, by the patches they belong to
+ */
+const patchEffects = new WeakMap();
+
+/**
+ * Applies patches to the children of a root element in order, see `computePatches`.
+ * The effects of the components compared by `computePatches` are called afterwards.
+ *
+ * @param {HTMLElement} $root
+ * @param {Array<Patch>} patches
+ */
+const applyPatches = ($root, patches) =>
+  lifecycle(() => {
+    lifecycleQueue.push(...(patchEffects.get(patches) || []));
+    patchEffects.delete(patches);
+    patches.forEach(patch => applyPatch($root, patch));
+  });
+
+/**
+ * Applies a single patch to the children of a root element
+ *
+ * @param {HTMLElement} $root
+ * @param {Patch} patch
+ * @param {number} [offset=0] index of the first DOM node the patches of the root refer to
+ */
+const applyPatch = ($root, patch, offset = 0) => {
+  const [first, ...path] = patch.path;
+  if (null == first) {
+    const shifted = { ...patch };
+    ['index', 'from', 'to'].filter(key => key in patch).forEach(key => (shifted[key] += offset));
+    patchOperations[patch.type]($root, shifted);
+    return;
+  }
+  const $target = path.reduce(($node, index) => $node.childNodes[index], $root.childNodes[first + offset]);
+  patchOperations[patch.type]($target, patch);
+};
+
+/**
+ * DOM operation of every patch type, applied to the node the path of the patch leads to
+ */
+const patchOperations = {
+  create: ($parent, { index, node }) =>
+    $parent.insertBefore(renderNode(node, childNamespace($parent)), $parent.childNodes[index] || null),
+  remove: ($parent, { index, count, node }) => {
+    if (null != node) {
+      unmountNode($parent, node, index);
+    }
+    removeNodes($parent, index, count);
+  },
+  move: ($parent, { from, count, to }) => {
+    const $nodes = Array.from($parent.childNodes).slice(from, from + count);
+    const $next = Array.from($parent.childNodes).filter($node => !$nodes.includes($node))[to];
+    $nodes.forEach($node => $parent.insertBefore($node, $next || null));
+  },
+  setText: ($node, { value }) => {
+    $node.nodeValue = value;
+  },
+  setAttr: ($element, { name, value, oldValue }) => patchAttribute($element, name, value, oldValue),
+  update: ($element, { attributes, oldAttributes }) => updated($element, attributes, oldAttributes),
+  portal: ($placeholder, { patches }) => {
+    const { $target, offset } = portalPosition($placeholder);
+    patches.forEach(patch => applyPatch($target, patch, offset));
+  },
+};
+
+/**
+ * Compares two VDOM nodes and adds the patches for their differences, see `computePatches`
+ *
+ * @param {Array<Patch>} patches
+ * @param {Array<number>} path path of the parent
+ * @param {VNode} newNode
+ * @param {VNode} oldNode
+ * @param {number} index
+ */
+const diffNode = (patches, path, newNode, oldNode, index) => {
+  oldNode = renderedNode(oldNode);
+  if (null == oldNode) {
+    patches.push({ type: 'create', path, index, node: expand(newNode) });
+    return;
+  }
+  if (null == newNode) {
+    patches.push({ type: 'remove', path, index, count: domLength(oldNode), node: oldNode });
+    return;
+  }
+  if (isText(oldNode) && isText(newNode)) {
+    if (oldNode !== newNode) {
+      patches.push({ type: 'setText', path: [...path, index], value: String(newNode) });
+    }
+    return;
+  }
+  if (nodeChanged(oldNode, newNode)) {
+    const node = expand(newNode);
+    patches.push({ type: 'create', path, index, node });
+    patches.push({
+      type: 'remove', path, index: index + domLength(node), count: domLength(oldNode), node: oldNode,
+    });
+    return;
+  }
+  if (newNode === oldNode || !shouldUpdate(newNode, oldNode)) {
+    refreshNode(patches, path, oldNode, index);
+    keep(newNode, oldNode);
+    return;
+  }
+  if (isComponent(newNode)) {
+    const oldOutput = componentOutputs.get(oldNode);
+    bounded(
+      newNode,
+      renderComponent(newNode, oldNode),
+      output => diffNode(patches, path, output, oldOutput, index),
+      patches
+    );
+    return;
+  }
+  if (isFragment(newNode)) {
+    provided(newNode, () => diffChildren(patches, path, newNode.children, oldNode.children, index));
+    return;
+  }
+  if (isPortal(newNode)) {
+    const portalPatches = []; // relative to the content in the target
+    diffChildren(portalPatches, [], newNode.children, oldNode.children);
+    if (portalPatches.length > 0) {
+      patches.push({ type: 'portal', path: [...path, index], patches: portalPatches });
+    }
+    return;
+  }
+  if (isComment(newNode)) {
+    const value = newNode.children.join('');
+    if (value !== oldNode.children.join('')) {
+      patches.push({ type: 'setText', path: [...path, index], value });
+    }
+    return;
+  }
+  if (newNode.tagName) {
+    diffChildren(patches, [...path, index], newNode.children, oldNode.children);
+    diffAttributes(patches, [...path, index], newNode, oldNode);
+  }
+};
+
+/**
+ * Nodes which were not diffed, by the new nodes, which took their place, see `shouldUpdate`
+ */
+const renderedNodes = new WeakMap();
+
+/**
+ * Returns the node which was rendered in place of a node, which was not diffed
+ *
+ * @param {VNode} node
+ *
+ * @returns {VNode}
+ */
+const renderedNode = node => renderedNodes.get(node) || node;
+
+/**
+ * Checks if a node should be diffed with the old node, by calling its `shouldUpdate` attribute
+ *
+ * @param {VNode} newNode
+ * @param {VNode} oldNode
+ *
+ * @returns {boolean}
+ */
+const shouldUpdate = (newNode, oldNode) =>
+  isFragment(newNode) ||
+  typeof newNode.attributes.shouldUpdate !== 'function' ||
+  false !== newNode.attributes.shouldUpdate(newNode.attributes, oldNode.attributes);
+
+/**
+ * Checks if a component within a rendered node changed its own state since it was called
+ *
+ * @param {VNode} node
+ *
+ * @returns {boolean}
+ */
+const stateChanged = node => {
+  node = renderedNode(normalize(node));
+  if (isComponent(node)) {
+    return changedHooks.has(componentHooks.get(node)) || stateChanged(componentOutputs.get(node));
+  }
+  return !isText(node) && node.children.some(stateChanged);
+};
+
+/**
+ * Adds the patches for the components within a rendered node, which changed their own state.
+ * All other parts of the node are kept as they are.
+ *
+ * @param {Array<Patch>} patches
+ * @param {Array<number>} path path of the parent
+ * @param {VNode} node
+ * @param {number} index
+ */
+const refreshNode = (patches, path, node, index) => {
+  node = renderedNode(node);
+  if (0 === changedHooks.size || !stateChanged(node)) return;
+  if (isComponent(node)) {
+    const output = componentOutputs.get(node);
+    const hooks = componentHooks.get(node);
+    if (changedHooks.has(hooks)) {
+      withContexts(hooks.contexts, () =>
+        bounded(
+          node,
+          renderComponent(node),
+          newOutput => diffNode(patches, path, newOutput, output, index),
+          patches
+        )
+      );
+    } else {
+      refreshNode(patches, path, output, index);
+    }
+    return;
+  }
+  if (isFragment(node)) {
+    refreshChildren(patches, path, node.children, index);
+    return;
+  }
+  if (isPortal(node)) {
+    const portalPatches = [];
+    refreshChildren(portalPatches, [], node.children, 0);
+    patches.push({ type: 'portal', path: [...path, index], patches: portalPatches });
+    return;
+  }
+  refreshChildren(patches, [...path, index], node.children, 0);
+};
+
+/**
+ * Adds the patches for the components within the given children, which changed their own state
+ *
+ * @param {Array<Patch>} patches
+ * @param {Array<number>} path path of the parent
+ * @param {Array<VNode>} children
+ * @param {number} offset index of the first child's DOM node
+ */
+const refreshChildren = (patches, path, children, offset) =>
+  children.map(normalize).reduce((index, child) => {
+    refreshNode(patches, path, child, index);
+    return index + domLength(child);
+  }, offset);
+
+/**
+ * Keeps the rendered old node in place of the new node, which is not diffed
+ *
+ * @param {VNode} newNode
+ * @param {VNode} oldNode
+ */
+const keep = (newNode, oldNode) => {
+  if (newNode === oldNode) return;
+  if (isComponent(newNode)) {
+    componentOutputs.set(newNode, componentOutputs.get(oldNode));
+    componentHooks.set(newNode, componentHooks.get(oldNode));
+  } else {
+    renderedNodes.set(newNode, oldNode);
+  }
+};
+
+/**
+ * Calls the components of a new node and returns a copy, in which they are replaced by their output.
+ * Their output is remembered, so the new node can be diffed later on.
+ *
+ * @param {VNode} node
+ *
+ * @returns {VNode}
+ */
+const expand = node => {
+  node = normalize(node);
+  if (isComponent(node)) {
+    return bounded(node, renderComponent(node), expand);
+  }
+  if (isText(node)) {
+    return node;
+  }
+  return { ...node, children: provided(node, () => node.children.map(expand)) };
+};
+
+/**
+ * Replaces the DOM nodes of a rendered node with a newly rendered node, without diffing.
+ * The hooks of its components are not kept, so their state is reset and their effects are called again.
+ *
+ * @param {HTMLElement} $parent
+ * @param {VNode | Array<VNode>} newNode
+ * @param {VNode | Array<VNode>} oldNode
+ * @param {number} [index=0]
+ */
+const replace = ($parent, newNode, oldNode, index = 0) =>
+  lifecycle(() => {
+    [newNode, oldNode] = [normalize(newNode), normalize(oldNode)];
+    const outerReplacing = replacing;
+    replacing = true;
+    try {
+      $parent.insertBefore(renderNode(newNode, childNamespace($parent)), $parent.childNodes[index] || null);
+    } finally {
+      replacing = outerReplacing;
+    }
+    unmountNode($parent, oldNode, index + domLength(newNode));
+    removeNodes($parent, index + domLength(newNode), domLength(oldNode));
+  });
+
+/**
+ * Removes a number of child nodes starting at the given index
+ *
+ * @param {HTMLElement} $parent
+ * @param {number} index
+ * @param {number} count
+ */
+const removeNodes = ($parent, index, count) => {
+  for (let i = index + count - 1; i >= index; i--) {
+    $parent.removeChild($parent.childNodes[i]);
+  }
+};
+
+/**
+ * Sets, updates and removes the attributes and event listeners which differ between two VDOM nodes.
+ * Event listeners are compared by identity, so a new closure always replaces the old one.
+ * Properties of form controls are always synchronized with the DOM.
+ *
+ * @param {HTMLElement} $element
+ * @param {object} newAttributes
+ * @param {object} oldAttributes
+ */
+const patchAttributes = ($element, newAttributes, oldAttributes) => {
+  Object.keys({ ...oldAttributes, ...newAttributes })
+    .filter(key => newAttributes[key] !== oldAttributes[key] || isProperty($element, key)) // properties may be changed by the user
+    .forEach(key => patchAttribute($element, key, newAttributes[key], oldAttributes[key]));
+};
+
+/**
+ * Adds the patches for the attributes and event listeners which differ between two element nodes,
+ * see `patchAttributes`, and for the update hooks of the element
+ *
+ * @param {Array<Patch>} patches
+ * @param {Array<number>} path path of the element
+ * @param {VNode} newNode
+ * @param {VNode} oldNode
+ */
+const diffAttributes = (patches, path, newNode, oldNode) => {
+  const newAttributes = newNode.attributes;
+  const oldAttributes = oldNode.attributes;
+  Object.keys({ ...oldAttributes, ...newAttributes })
+    .filter(key => !lifecycleAttributes.includes(key))
+    .filter(key => newAttributes[key] !== oldAttributes[key] || isControlProperty(newNode.tagName, key))
+    .forEach(key =>
+      patches.push({
+        type: 'setAttr', path, name: key, value: newAttributes[key], oldValue: oldAttributes[key],
+      })
+    );
+  if (newAttributes.ref !== oldAttributes.ref || null != newAttributes.onupdate) {
+    patches.push({ type: 'update', path, attributes: newAttributes, oldAttributes });
+  }
+};
+
+/**
+ * Checks if a given node is rendered as a text node
+ *
+ * @param {VNode} node
+ *
+ * @returns {boolean}
+ */
+const isText = node => typeof node === 'string' || typeof node === 'number';
+
+/**
+ * Compares the children of two VDOM nodes and adds the patches for their differences.
+ * Keyed children are matched by their key, all others by their index.
+ *
+ * @param {Array<Patch>} patches
+ * @param {Array<number>} path path of the parent
+ * @param {Array<VNode>} newChildren
+ * @param {Array<VNode>} oldChildren
+ * @param {number} offset index of the first child's DOM node, if the children belong to a fragment
+ */
+const diffChildren = (patches, path, newChildren, oldChildren, offset = 0) => {
+  newChildren = newChildren.map(normalize);
+  oldChildren = oldChildren.map(normalize);
+  if (newChildren.some(hasKey) || oldChildren.some(hasKey)) {
+    diffKeyedChildren(patches, path, newChildren, oldChildren, offset);
+    return;
+  }
+  let index = offset;
+  newChildren.forEach((newChild, i) => {
+    diffNode(patches, path, newChild, oldChildren[i], index);
+    index += domLength(newChild);
+  });
+  // remove surplus old children in reverse order, so the indices stay valid
+  let end = oldChildren
+    .slice(newChildren.length)
+    .reduce((end, oldChild) => end + domLength(oldChild), index);
+  for (let i = oldChildren.length - 1; i >= newChildren.length; i--) {
+    end -= domLength(oldChildren[i]);
+    diffNode(patches, path, null, oldChildren[i], end);
+  }
+};
+
+/**
+ * Reconciles keyed children by reusing the DOM nodes of matching old children.
+ * Only the nodes which are not part of the longest increasing subsequence
+ * of old positions are moved, which results in a minimal number of DOM moves.
+ * Unkeyed children are matched with the unkeyed old children in order.
+ *
+ * @param {Array<Patch>} patches
+ * @param {Array<number>} path path of the parent
+ * @param {Array<VNode>} newChildren
+ * @param {Array<VNode>} oldChildren
+ * @param {number} offset index of the first child's DOM node
+ */
+const diffKeyedChildren = (patches, path, newChildren, oldChildren, offset) => {
+  const starts = [];
+  oldChildren.reduce((start, oldChild) => {
+    starts.push(start);
+    return start + domLength(oldChild);
+  }, offset);
+
+  const keyedIndices = new Map();
+  const unkeyedIndices = [];
+  oldChildren.forEach((oldChild, i) => {
+    if (hasKey(oldChild)) {
+      keyedIndices.set(oldChild.key, i);
+    } else {
+      unkeyedIndices.push(i);
+    }
+  });
+
+  // index of the matching old child for every new child, -1 if there is none
+  const sources = newChildren.map(newChild => {
+    if (!hasKey(newChild)) {
+      return unkeyedIndices.length > 0 ? unkeyedIndices.shift() : -1;
+    }
+    const oldIndex = keyedIndices.has(newChild.key) ? keyedIndices.get(newChild.key) : -1;
+    keyedIndices.delete(newChild.key); // duplicate keys only match once
+    return oldIndex;
+  });
+
+  // remove unmatched old children, whose following siblings move up
+  oldChildren
+    .map((_, i) => i)
+    .filter(i => !sources.includes(i))
+    .reduce((removedLength, i) => {
+      diffNode(patches, path, null, oldChildren[i], starts[i] - removedLength);
+      return removedLength + domLength(oldChildren[i]);
+    }, 0);
+
+  // current order of the DOM nodes, as groups of DOM nodes belonging to one child
+  const groups = oldChildren
+    .map((oldChild, i) => ({ source: i, length: domLength(oldChild) }))
+    .filter(group => sources.includes(group.source));
+  const indexOf = position =>
+    groups.slice(0, position).reduce((index, group) => index + group.length, offset);
+
+  // move and create nodes from the back, so the next sibling is always in place
+  const stable = longestIncreasingSubsequence(sources);
+  let next = null;
+  for (let i = newChildren.length - 1; i >= 0; i--) {
+    let group = groups.find(group => group.source === sources[i]);
+    if (sources[i] < 0) {
+      const node = expand(newChildren[i]);
+      group = { source: -1, length: domLength(node) };
+      const position = null == next ? groups.length : groups.indexOf(next);
+      patches.push({ type: 'create', path, index: indexOf(position), node });
+      groups.splice(position, 0, group);
+    } else if (!stable.has(i)) {
+      const from = indexOf(groups.indexOf(group));
+      groups.splice(groups.indexOf(group), 1);
+      const position = null == next ? groups.length : groups.indexOf(next);
+      patches.push({ type: 'move', path, from, count: group.length, to: indexOf(position) });
+      groups.splice(position, 0, group);
+    }
+    if (group.length > 0) {
+      next = group;
+    }
+  }
+
+  let index = offset;
+  newChildren.forEach((newChild, i) => {
+    if (sources[i] >= 0) {
+      diffNode(patches, path, newChild, oldChildren[sources[i]], index);
+    }
+    index += domLength(newChild);
+  });
+};
+
+/**
+ * Checks if a given node has a key
+ *
+ * @param {VNode} node
+ *
+ * @returns {boolean}
+ */
+const hasKey = node => null != node && null != node.key;
+
+/**
+ * Empty nodes are rendered as empty text nodes and arrays as fragments
+ *
+ * @param {VNode | Array<VNode>} node
+ *
+ * @returns {VNode | string}
+ */
+const normalize = node => {
+  if (null == node) {
+    return '';
+  }
+  if (Array.isArray(node)) {
+    return vNode(Fragment, {}, node);
+  }
+  return node;
+};
+
+/**
+ * Finds the longest increasing subsequence of a given sequence, ignoring negative values.
+ * Returns the indices of its elements.
+ *
+ * @param {Array<number>} sequence
+ *
+ * @returns {Set<number>}
+ */
+const longestIncreasingSubsequence = sequence => {
+  const predecessors = [];
+  const tails = []; // index of the smallest tail of all subsequences with length i + 1
+  sequence.forEach((value, i) => {
+    if (value < 0) return;
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sequence[tails[middle]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    predecessors[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const indices = new Set();
+  for (let i = tails[tails.length - 1]; null != i && i >= 0; i = predecessors[i]) {
+    indices.add(i);
+  }
+  return indices;
+};
+
+/**
+ * compares two VDOM nodes and returns true if they are different
+ *
+ * @param {VNode} node1
+ * @param {VNode} node2
+ */
+const changed = (node1, node2) => {
+  const attributesChanged =
+    !!node1.attributes &&
+    !!node2.attributes &&
+    (Object.keys(node1.attributes).length !== Object.keys(node2.attributes).length ||
+      Object.keys(node1.attributes).some(
+        a =>
+          node1.attributes[a] !== node2.attributes[a] &&
+          (typeof node1.attributes[a] === 'function' || // a new closure may be bound to new state
+            (null == node1.attributes[a] ? '' : attributeString(a, node1.attributes[a])) !==
+            (null == node2.attributes[a] ? '' : attributeString(a, node2.attributes[a])))
+      ));
+  return nodeChanged(node1, node2) || attributesChanged;
+};
+
+/**
+ * compares two VDOM nodes and returns true if they can not be patched into each other
+ *
+ * @param {VNode} node1
+ * @param {VNode} node2
+ */
+const nodeChanged = (node1, node2) =>
+  typeof node1 !== typeof node2 ||
+  (isText(node1) && node1 !== node2) ||
+  node1.tagName !== node2.tagName ||
+  node1.key !== node2.key ||
+  (isPortal(node1) && node1.attributes.target !== node2.attributes.target);
@@ -1,5 +1,10 @@
 import { describe } from '../test/test';
-import { h, render, diff, mount, changed, createDomElement } from './vdom';
+import {
+  h, html, Fragment, portal, lazy, toVDOM, render, renderToString, diff, computePatches, applyPatches,
+  mount, mountMVC, hydrate, flush, changed, createDomElement, useState, useEffect, useMemo,
+  createContext, provide, useContext, raw, ErrorBoundary, withRefresh,
+} from './vdom';
+import * as development from './vdom.development';
 
 describe('DOM', test => {
 
@@ -19,10 +24,10 @@ describe('DOM', test => {
   test('createDomElement with child nodes', assert => {
     // given
     const tagName = 'ul';
-    const content = `
+    const content = raw(`
       <li>test</li>
       <li>123</li>
-    `;
+    `);
 
     // when
     const $el = createDomElement(tagName, {}, content);
@@ -31,6 +36,18 @@ describe('DOM', test => {
     assert.is($el.childElementCount, 2);
   });
 
+  test('createDomElement with markup as text', assert => {
+    // given
+    const content = '<img src="x" onerror="alert(1)">Leek';
+
+    // when
+    const $el = createDomElement('p', {}, content);
+
+    // then
+    assert.is($el.childElementCount, 0);
+    assert.is($el.textContent, content);
+  });
+
   test('createDomElement with attribute', assert => {
     // given
     const tagName = 'p';
@@ -74,6 +91,7 @@ describe('Virtual DOM', test => {
 
     // when
     $root.querySelector('button').click();
+    flush();
 
     // then
     assert.is($root.innerHTML, '<div><button></button><p>3</p></div>');
@@ -137,4 +155,1404 @@ describe('Virtual DOM', test => {
     // then
     assert.is(result, true);
   });
+
+  test('h - key', assert => {
+    // when
+    const vNode = h('li', { key: 1, class: 'item' }, 'Puerro');
+
+    // then
+    assert.is(vNode.key, 1);
+    assert.is(vNode.attributes.key, undefined);
+    assert.is(render(vNode).outerHTML, '<li class="item">Puerro</li>');
+  });
+
+  test('diffing - keyed children', assert => {
+    // given
+    const list = items => h('ul', {}, items.map(item => h('li', { key: item }, item)));
+    const $root = document.createElement('div');
+    let vDom = list(['Leek', 'Tomato', 'Potato']);
+    $root.append(render(vDom));
+    const [$leek, $tomato, $potato] = $root.querySelectorAll('li');
+
+    // when
+    let newVDom = list(['Carrot', 'Leek', 'Tomato', 'Potato']);
+    diff($root, newVDom, vDom);
+    vDom = newVDom;
+
+    // then
+    let $items = $root.querySelectorAll('li');
+    assert.is($root.innerHTML, '<ul><li>Carrot</li><li>Leek</li><li>Tomato</li><li>Potato</li></ul>');
+    assert.is($items[1], $leek);
+    assert.is($items[2], $tomato);
+    assert.is($items[3], $potato);
+
+    // when
+    newVDom = list(['Potato', 'Leek', 'Carrot']);
+    diff($root, newVDom, vDom);
+
+    // then
+    $items = $root.querySelectorAll('li');
+    assert.is($root.innerHTML, '<ul><li>Potato</li><li>Leek</li><li>Carrot</li></ul>');
+    assert.is($items[0], $potato);
+    assert.is($items[1], $leek);
+  });
+
+  test('diffing - patch attributes in place', assert => {
+    // given
+    const $root = document.createElement('div');
+    const vDom = h('form', { class: 'new', id: 'form' }, h('input', { name: 'vegetable' }), 'Puerro');
+    $root.append(render(vDom));
+    const $form = $root.firstChild;
+    const $input = $form.firstChild;
+    $input.value = 'Leek';
+
+    // when
+    const newVDom = h('form', { class: 'edit', novalidate: '' }, h('input', { name: 'vegetable' }), 'Huerto');
+    diff($root, newVDom, vDom);
+
+    // then
+    assert.is($root.firstChild, $form);
+    assert.is($form.firstChild, $input);
+    assert.is($input.value, 'Leek');
+    assert.is($form.getAttribute('class'), 'edit');
+    assert.is($form.hasAttribute('id'), false);
+    assert.is($form.hasAttribute('novalidate'), true);
+    assert.is($form.lastChild.nodeValue, 'Huerto');
+  });
+
+  test('diffing - event listeners', assert => {
+    // given
+    const clicks = [];
+    const button = row => h('button', { click: _ => clicks.push(row) });
+    const $root = document.createElement('div');
+    const vDom = button(1);
+    $root.append(render(vDom));
+    const $button = $root.firstChild;
+
+    // when
+    const newVDom = button(2);
+    diff($root, newVDom, vDom);
+    $button.click();
+
+    // then
+    assert.is($root.firstChild, $button);
+    assert.is(clicks.join(), '2');
+
+    // when
+    diff($root, h('button', {}), newVDom);
+    $button.click();
+
+    // then
+    assert.is(clicks.join(), '2');
+  });
+
+  test('diffing - listenersChanged', assert => {
+    // given
+    const listener = row => _ => row;
+
+    // when
+    const result = changed(h('button', { click: listener(1) }), h('button', { click: listener(2) }));
+
+    // then
+    assert.is(result, true);
+  });
+
+  test('diffing - remove surplus children', assert => {
+    // given
+    const $root = document.createElement('main');
+    const state = { vegetables: ['Leek', 'Tomato', 'Potato'] };
+    const view = ({ state, setState }) =>
+      h('table', {}, state.vegetables.map(vegetable =>
+        h('tr', { click: _ => setState({ vegetables: state.vegetables.filter(v => v !== vegetable) }) },
+          h('td', {}, vegetable)
+        )
+      ));
+
+    mount($root, view, state);
+
+    // when
+    $root.querySelector('tr').click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<table><tr><td>Tomato</td></tr><tr><td>Potato</td></tr></table>');
+
+    // when
+    $root.querySelectorAll('tr')[1].click();
+    flush();
+    $root.querySelector('tr').click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<table></table>');
+  });
+
+  test('diffing - empty children', assert => {
+    // given
+    const $root = document.createElement('div');
+    const vDom = h('div', {}, h('input'), null, 'Puerro');
+    $root.append(render(vDom));
+
+    // when
+    let newVDom = h('div', {}, null, h('p', {}, 'Leek'));
+    diff($root, newVDom, vDom);
+
+    // then
+    assert.is($root.innerHTML, '<div><p>Leek</p></div>');
+    assert.is($root.firstChild.childNodes.length, 2);
+
+    // when
+    diff($root, h('div', {}), newVDom);
+
+    // then
+    assert.is($root.firstChild.childNodes.length, 0);
+  });
+
+  test('functional components', assert => {
+    // given
+    const Vegetable = ({ name }, children) => h('li', { class: 'vegetable' }, name, children);
+    const vDom = h('ul', {}, h(Vegetable, { name: 'Leek' }, h('b', {}, '!')));
+
+    // when
+    const $dom = render(vDom);
+
+    // then
+    assert.is($dom.innerHTML, '<li class="vegetable">Leek<b>!</b></li>');
+
+    // given
+    const $root = document.createElement('div');
+    $root.append($dom);
+    const $li = $dom.firstChild;
+
+    // when
+    diff($root, h('ul', {}, h(Vegetable, { name: 'Tomato' })), vDom);
+
+    // then
+    assert.is($root.innerHTML, '<ul><li class="vegetable">Tomato</li></ul>');
+    assert.is($dom.firstChild, $li);
+  });
+
+  test('fragments', assert => {
+    // given
+    const originField = origin => [
+      h('input', { id: 'origin-' + origin, type: 'radio' }),
+      h('label', { for: 'origin-' + origin }, origin),
+    ];
+    const vDom = h('div', {}, h(Fragment, {}, h('input'), 'Puerro'));
+
+    // when
+    const $dom = render(vDom);
+
+    // then
+    assert.is($dom.innerHTML, '<input>Puerro');
+
+    // given
+    const $root = document.createElement('main');
+    const state = { origins: ['Europe'] };
+    const view = ({ state, setState }) => [
+      h('button', { click: _ => setState({ origins: state.origins.slice(1) }) }),
+      state.origins.map(originField),
+      h('p', {}, state.origins.length),
+    ];
+
+    mount($root, view, { origins: ['Europe', 'Asia'] });
+
+    // initial state
+    assert.is($root.childNodes.length, 6);
+
+    // when
+    $root.querySelector('button').click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<button></button><input id="origin-Asia" type="radio"><label for="origin-Asia">Asia</label><p>1</p>');
+
+    // when
+    $root.querySelector('button').click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<button></button><p>0</p>');
+
+    // when
+    const $list = document.createElement('div');
+    const oldVDom = [h('p', {}, 1), h('i')];
+    $list.append(render(oldVDom));
+    diff($list, [h('p', {}, 2), h('i'), h('b')], oldVDom);
+
+    // then
+    assert.is($list.innerHTML, '<p>2</p><i></i><b></b>');
+  });
+
+  test('fragments - keyed', assert => {
+    // given
+    const Row = ({ name }) => [h('dt', {}, name), h('dd', {}, name.length)];
+    const list = names => h('dl', {}, names.map(name => h(Row, { key: name, name })));
+    const $root = document.createElement('div');
+    const vDom = list(['Leek', 'Tomato']);
+    $root.append(render(vDom));
+    const $leek = $root.querySelector('dt');
+
+    // when
+    diff($root, list(['Tomato', 'Potato', 'Leek']), vDom);
+
+    // then
+    assert.is($root.innerHTML, '<dl><dt>Tomato</dt><dd>6</dd><dt>Potato</dt><dd>6</dd><dt>Leek</dt><dd>4</dd></dl>');
+    assert.is($root.querySelectorAll('dt')[2], $leek);
+  });
+
+  test('svg', assert => {
+    // given
+    const bed = planted => h('svg', { viewBox: '0 0 10 10' },
+      h('use', { 'xlink:href': '#leek' }),
+      planted ? h('circle', { r: 5 }) : null,
+      h('foreignObject', {}, h('p', {}, 'Leek')),
+    );
+    const vDom = bed(false);
+
+    // when
+    const $svg = render(vDom);
+
+    // then
+    assert.is($svg.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.is($svg.getAttribute('viewBox'), '0 0 10 10');
+    assert.is($svg.firstChild.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.is($svg.firstChild.getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#leek');
+    assert.is($svg.lastChild.firstChild.namespaceURI, 'http://www.w3.org/1999/xhtml');
+
+    // given
+    const $root = document.createElement('div');
+    $root.append($svg);
+
+    // when
+    diff($root, bed(true), vDom);
+
+    // then
+    assert.is($svg.querySelector('circle').namespaceURI, 'http://www.w3.org/2000/svg');
+  });
+
+  test('renderToString', assert => {
+    // given
+    const Comment = ({ text }) => h('p', { title: text }, text);
+    const vDom = h('form', { submit: _ => _, class: null },
+      h('input', { name: 'vegetable', required: true, disabled: false, value: '"Leek"' }),
+      h(Comment, { text: '<b>Puerro</b> & Huerto' }),
+      [h('br'), 1],
+    );
+
+    // when
+    const html = renderToString(vDom);
+
+    // then
+    assert.is(html,
+      '<form>' +
+        '<input name="vegetable" required value="&quot;Leek&quot;">' +
+        '<p title="&lt;b&gt;Puerro&lt;/b&gt; &amp; Huerto">&lt;b&gt;Puerro&lt;/b&gt; &amp; Huerto</p>' +
+        '<br>1' +
+      '</form>'
+    );
+
+    // when
+    const style = renderToString(h('style', {}, 'p > b { color: red }'));
+    const script = renderToString(h('script', {}, 'if (1 < 2) document.write("</script>")'));
+    const $head = document.createElement('head');
+    $head.innerHTML = style;
+
+    // then
+    assert.is(style, '<style>p > b { color: red }</style>');
+    assert.is(script, '<script>if (1 < 2) document.write("<\\/script>")</script>');
+    assert.is($head.firstChild.textContent, 'p > b { color: red }');
+  });
+
+  test('hydrate', assert => {
+    // given
+    const $root = document.createElement('main');
+    const state = { counter: 1 };
+    const view = ({ state, setState }) =>
+      h('div', {},
+        h('button', { click: _ => setState({ counter: state.counter + 2 }) }),
+        h('p', {}, 'Counter: ', state.counter, null));
+    $root.innerHTML = renderToString(view({ state }));
+    const $button = $root.querySelector('button');
+
+    // when
+    hydrate($root, view, state);
+
+    // then
+    assert.is($root.innerHTML, '<div><button></button><p>Counter: 1</p></div>');
+    assert.is($root.querySelector('button'), $button);
+
+    // when
+    $button.click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<div><button></button><p>Counter: 3</p></div>');
+  });
+
+  test('hydrate - mismatch', assert => {
+    // given
+    const $root = document.createElement('main');
+    $root.innerHTML = '<ul class="old"><li>Leek</li><span>Tomato</span><li>Potato</li></ul>';
+    const $leek = $root.querySelector('li');
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+
+    // when
+    hydrate($root, () => h('ul', {}, h('li', {}, 'Leek'), h('li', {}, 'Tomato')), {});
+    console.warn = warn;
+
+    // then
+    assert.is($root.innerHTML, '<ul><li>Leek</li><li>Tomato</li></ul>');
+    assert.is($root.querySelector('li'), $leek);
+    assert.is(warnings.length, 3);
+  });
+
+  test('hydrate - whitespace', assert => {
+    // given
+    const $root = document.createElement('main');
+    const view = ({ state, setState }) =>
+      h('div', {},
+        h('button', { click: _ => setState({ counter: state.counter + 1 }) }),
+        h('p', {}, state.counter));
+    $root.innerHTML = '\n  ' + renderToString(view({ state: { counter: 1 } })).replace('<p>', '\n    <p>') + '\n';
+    const $div = $root.querySelector('div');
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+
+    // when
+    hydrate($root, view, { counter: 1 });
+    console.warn = warn;
+
+    // then
+    assert.is(warnings.length, 0);
+    assert.is($root.innerHTML, '<div><button></button><p>1</p></div>');
+    assert.is($root.firstChild, $div);
+
+    // when
+    $root.querySelector('button').click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<div><button></button><p>2</p></div>');
+
+    // when
+    const $surplus = document.createElement('main');
+    $surplus.innerHTML = ' <p>Leek</p> <p>Tomato</p>';
+    console.warn = message => warnings.push(message);
+    hydrate($surplus, () => h('p', {}, 'Leek'), {});
+    console.warn = warn;
+
+    // then
+    assert.is(warnings.length, 1);
+    assert.is($surplus.innerHTML, '<p>Leek</p>');
+  });
+
+  test('toVDOM', assert => {
+    // given
+    const $root = document.createElement('div');
+    $root.innerHTML = '<P class="vegetable">Leek <b>and</b>  <!-- planted -->Tomato</P>';
+
+    // when
+    const vDom = toVDOM($root.firstChild);
+
+    // then
+    assert.is(vDom.tagName, 'p');
+    assert.is(vDom.attributes.class, 'vegetable');
+    assert.is(vDom.children.length, 4);
+    assert.is(vDom.children[0], 'Leek ');
+    assert.is(vDom.children[1].tagName, 'b');
+    assert.is(vDom.children[3], 'Tomato');
+    assert.is(changed(vDom.children[1], h('b', {}, 'and')), false);
+
+    // when
+    const withComments = toVDOM($root.firstChild, { whitespace: 'collapse', comments: true });
+
+    // then
+    assert.is(withComments.children.length, 5);
+    assert.is(withComments.children[2], ' ');
+    assert.is(render(withComments).innerHTML, 'Leek <b>and</b> <!-- planted -->Tomato');
+  });
+
+  test('toVDOM - diff existing markup', assert => {
+    // given
+    const $root = document.createElement('div');
+    $root.innerHTML = '<ul>\n  <li>Leek</li>\n  <li>Tomato</li>\n</ul>';
+    const $leek = $root.querySelector('li');
+
+    // when
+    diff($root, h('ul', {}, '\n  ', h('li', {}, 'Leek'), '\n  ', h('li', {}, 'Potato'), '\n'), toVDOM($root.firstChild));
+
+    // then
+    assert.is($root.innerHTML, '<ul>\n  <li>Leek</li>\n  <li>Potato</li>\n</ul>');
+    assert.is($root.querySelector('li'), $leek);
+
+    // when
+    const trimmed = toVDOM($root.firstChild, { whitespace: 'trim' });
+
+    // then
+    assert.is(trimmed.children.length, 2);
+  });
+
+  test('mount - batched refresh', assert => {
+    // given
+    const $root = document.createElement('main');
+    let renders = 0;
+    const view = ({ state, setState }) => {
+      renders++;
+      return h('button', {
+        click: _ => {
+          setState({ name: 'Leek' });
+          setState(state => ({ amount: state.amount + 1 }));
+          setState(state => ({ amount: state.amount + 1 }));
+        },
+      }, state.name, state.amount);
+    };
+
+    mount($root, view, { name: '', amount: 0 });
+
+    // when
+    $root.querySelector('button').click();
+
+    // then
+    assert.is(renders, 1);
+    assert.is($root.innerHTML, '<button>0</button>');
+
+    // when
+    flush();
+
+    // then
+    assert.is(renders, 2);
+    assert.is($root.innerHTML, '<button>Leek2</button>');
+
+    // when
+    flush();
+
+    // then
+    assert.is(renders, 2);
+  });
+
+  test('mountMVC - batched refresh', assert => {
+    // given
+    const controller = (model, refresh) => ({
+      model,
+      increment: () => refresh({ counter: model.counter + 1 }),
+    });
+    const view = controller => h('button', { click: _ => controller.increment() }, controller.model.counter);
+    const $batched = document.createElement('main');
+    const $sync = document.createElement('main');
+
+    mountMVC($batched, { counter: 0 }, view, controller);
+    mountMVC($sync, { counter: 0 }, view, controller, true, { schedule: 'sync' });
+
+    // when
+    $batched.firstChild.click();
+    $sync.firstChild.click();
+
+    // then
+    assert.is($batched.innerHTML, '<button>0</button>');
+    assert.is($sync.innerHTML, '<button>1</button>');
+
+    // when
+    flush();
+
+    // then
+    assert.is($batched.innerHTML, '<button>1</button>');
+  });
+
+  test('mount - handle', assert => {
+    // given
+    const $root = document.createElement('main');
+    const $footer = document.createElement('footer');
+    $root.append($footer);
+    const removed = [];
+    const view = ({ state }) => h('p', { onremove: $p => removed.push($p.textContent) }, state.name);
+
+    const handle = mount($root, view, { name: 'Leek', amount: 1 });
+
+    // when
+    handle.setState({ name: 'Tomato' });
+    handle.refresh();
+
+    // then
+    assert.is($root.innerHTML, '<p>Tomato</p><footer></footer>');
+    assert.is(handle.getState().amount, 1);
+
+    // when
+    handle.setState({ name: 'Potato' });
+    handle.unmount();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<footer></footer>');
+    assert.is(removed.join(), 'Tomato');
+
+    // when
+    handle.setState({ name: 'Carrot' });
+    handle.refresh();
+
+    // then
+    assert.is($root.innerHTML, '<footer></footer>');
+  });
+
+  test('mountMVC - handle', assert => {
+    // given
+    const $root = document.createElement('main');
+    const controller = (model, refresh) => ({ model, increment: () => refresh({ counter: model.counter + 1 }) });
+    const view = controller => h('button', { click: _ => controller.increment() }, controller.model.counter);
+
+    const handle = mountMVC($root, { name: 'Leek', counter: 0 }, view, controller);
+
+    // when
+    handle.setState({ counter: 1 });
+    handle.setState(model => ({ counter: model.counter + 1 }));
+    flush();
+
+    // then
+    assert.is(handle.getState().name, 'Leek');
+    assert.is($root.innerHTML, '<button>2</button>');
+
+    // when
+    const $button = $root.firstChild;
+    handle.unmount();
+    $button.click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '');
+    assert.is(handle.getState().counter, 3);
+    assert.is(handle.getState().name, undefined); // replaced by the controller's refresh
+  });
+
+  test('lifecycle hooks and refs', assert => {
+    // given
+    const calls = [];
+    const input = { current: null };
+    const vegetable = (name, amount) =>
+      h('li', {
+        key: name,
+        oncreate: $li => calls.push(`create ${$li.textContent} ${null != $li.parentNode}`),
+        onupdate: ($li, old) => calls.push(`update ${$li.textContent} ${old.title}`),
+        onremove: $li => calls.push(`remove ${$li.textContent} ${null != $li.parentNode}`),
+        title: amount,
+      }, name, h('input', { ref: input }));
+    const $root = document.createElement('div');
+    const vDom = h('ul', {}, vegetable('Leek', 1));
+
+    // when
+    $root.append(render(vDom));
+
+    // then
+    assert.is(calls.join(), 'create Leek true');
+    assert.is(input.current, $root.querySelector('input'));
+
+    // when
+    calls.length = 0;
+    const newVDom = h('ul', {}, vegetable('Tomato', 2), vegetable('Leek', 3));
+    diff($root, newVDom, vDom);
+
+    // then
+    assert.is(calls.join(), 'create Tomato true,update Leek 1');
+
+    // when
+    calls.length = 0;
+    diff($root, h('ul', {}), newVDom);
+
+    // then
+    assert.is(calls.join(), 'remove Tomato false,remove Leek false');
+    assert.is(input.current, null);
+  });
+
+  test('lifecycle hooks - mount', assert => {
+    // given
+    const $root = document.createElement('main');
+    document.body.append($root);
+    const view = ({ state, setState }) =>
+      h('form', {},
+        h('button', { type: 'button', click: _ => setState({ editing: true }) }),
+        state.editing ? h('input', { oncreate: $input => $input.focus() }) : null,
+      );
+
+    mount($root, view, { editing: false });
+
+    // when
+    $root.querySelector('button').click();
+    flush();
+
+    // then
+    assert.is(document.activeElement, $root.querySelector('input'));
+    $root.remove();
+  });
+
+  test('html', assert => {
+    // given
+    const clicks = [];
+    const Vegetable = ({ name }, children) => html`<li class="vegetable ${name}">${name}${children}</li>`;
+    const view = (names, planted) => html`
+      <h1>Vegetables</h1>
+      <!-- list of all vegetables -->
+      <ul ...${{ id: 'vegetables' }} hidden>
+        ${names.map(name => html`<${Vegetable} key=${name} name=${name}>!<//>`)}
+      </ul>
+      <input type=checkbox checked=${planted} click=${_ => clicks.push(planted)} />
+      <p>Planted: ${planted ? 'yes' : 'no'}</p>
+    `;
+
+    // when
+    const vDom = view(['Leek', 'Tomato'], true);
+    const $root = document.createElement('div');
+    $root.append(render(vDom));
+    $root.querySelector('input').click();
+
+    // then
+    assert.is(vDom.length, 4);
+    assert.is(vDom[1].children[0].key, 'Leek');
+    assert.is(clicks.join(), 'true');
+    assert.is($root.innerHTML,
+      '<h1>Vegetables</h1>' +
+      '<ul id="vegetables" hidden="">' +
+        '<li class="vegetable Leek">Leek!</li>' +
+        '<li class="vegetable Tomato">Tomato!</li>' +
+      '</ul>' +
+      '<input type="checkbox">' +
+      '<p>Planted: yes</p>'
+    );
+
+    // when
+    const newVDom = view(['Potato'], false);
+
+    // then
+    assert.is(renderToString(newVDom[1]), '<ul id="vegetables" hidden><li class="vegetable Potato">Potato!</li></ul>');
+    assert.is(renderToString(newVDom[3]), '<p>Planted: no</p>');
+
+    // when
+    const fractions = html`<p>1/2 < 3/4 ${'and'} 1 <${'b'}>&lt; 2</${'b'}></p>`;
+    const stray = html`<p/ class="a/b">Leek</p>`;
+
+    // then
+    assert.is(renderToString(fractions), '<p>1/2 &lt; 3/4 and 1 <b>&lt; 2</b></p>');
+    assert.is(renderToString(stray), '<p class="a/b">Leek</p>');
+
+    // when
+    const references = html`<p title="a &amp; b" lang=en&#x2d;GB>Tom &amp; Jerry&nbsp;&#8212; &unknown;</p>`;
+
+    // then
+    assert.is(references.attributes.title, 'a & b');
+    assert.is(references.attributes.lang, 'en-GB');
+    assert.is(references.children[0], 'Tom & Jerry\u00a0\u2014 &unknown;');
+  });
+
+  test('form control properties', assert => {
+    // given
+    const form = ({ name, planted, classification }) =>
+      h('form', {},
+        h('input', { name: 'vegetable', value: name, required: true }),
+        h('input', { name: 'planted', type: 'checkbox', checked: planted, indeterminate: null == planted }),
+        h('select', { name: 'classification', value: classification, disabled: !planted },
+          ['Fruits', 'Fungi', 'Roots'].map(c => h('option', { value: c }, c))
+        ),
+      );
+    const $root = document.createElement('div');
+    const vDom = form({ name: 'Leek', planted: undefined, classification: 'Fungi' });
+    $root.append(render(vDom));
+    const $control = name => $root.querySelector(`[name="${name}"]`);
+
+    // then
+    assert.is($control('vegetable').value, 'Leek');
+    assert.is($control('vegetable').getAttribute('required'), '');
+    assert.is($control('planted').indeterminate, true);
+    assert.is($control('classification').value, 'Fungi');
+    assert.is($control('classification').hasAttribute('disabled'), true);
+
+    // when
+    $control('vegetable').value = 'Tomato'; // typed by the user
+    $control('planted').checked = true;
+    const newVDom = form({ name: 'Leek', planted: false, classification: 'Roots' });
+    diff($root, newVDom, vDom);
+
+    // then
+    assert.is($control('vegetable').value, 'Leek');
+    assert.is($control('planted').checked, false);
+    assert.is($control('planted').indeterminate, false);
+    assert.is($control('classification').value, 'Roots');
+
+    // when
+    diff($root, form({ name: 'Leek', planted: true, classification: 'Roots' }), newVDom);
+
+    // then
+    assert.is($control('planted').checked, true);
+    assert.is($control('classification').hasAttribute('disabled'), false);
+  });
+
+  test('form control properties - renderToString and hydrate', assert => {
+    // given
+    const view = () =>
+      h('form', {},
+        h('textarea', { name: 'notes', value: 'Leek <3' }),
+        h('select', { name: 'classification', value: 'Roots' },
+          h('option', {}, 'Fungi'),
+          h('optgroup', { label: 'Vegetables' }, ['Fruits', 'Roots'].map(c => h('option', { value: c }, c)))
+        ),
+      );
+    const $root = document.createElement('div');
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+
+    // when
+    $root.innerHTML = renderToString(view());
+    $root.querySelector('textarea').value = '';
+    $root.querySelector('select').value = 'Fungi';
+    hydrate($root, view, {});
+    console.warn = warn;
+
+    // then
+    assert.is(renderToString(view()),
+      '<form>' +
+        '<textarea name="notes">Leek &lt;3</textarea>' +
+        '<select name="classification">' +
+          '<option>Fungi</option>' +
+          '<optgroup label="Vegetables"><option value="Fruits">Fruits</option><option value="Roots" selected>Roots</option></optgroup>' +
+        '</select>' +
+      '</form>'
+    );
+    assert.is(warnings.length, 0);
+    assert.is($root.querySelector('textarea').value, 'Leek <3');
+    assert.is($root.querySelector('select').value, 'Roots');
+  });
+
+  test('style and class objects', assert => {
+    // given
+    const row = (selected, planted) =>
+      h('tr', {
+        class: ['row', { selected, planted: planted > 0 }],
+        style: { color: selected ? 'red' : 'black', backgroundColor: planted ? 'green' : null, '--amount': planted },
+      });
+    const $root = document.createElement('table');
+    const vDom = row(true, 2);
+    $root.append(render(vDom));
+    const $tr = $root.firstChild;
+
+    // then
+    assert.is($tr.getAttribute('class'), 'row selected planted');
+    assert.is($tr.style.color, 'red');
+    assert.is($tr.style.backgroundColor, 'green');
+    assert.is($tr.style.getPropertyValue('--amount'), '2');
+
+    // when
+    $tr.classList.add('hover'); // added by someone else
+    const newVDom = row(false, 0);
+    diff($root, newVDom, vDom);
+
+    // then
+    assert.is($tr.getAttribute('class'), 'row hover');
+    assert.is($tr.style.color, 'black');
+
+    // when
+    const $cells = document.createElement('tr');
+    $cells.append(render(h('td', { class: 'cell' })));
+    $cells.firstChild.classList.add('hover');
+    diff($cells, h('td', { class: null }), h('td', { class: 'cell' }));
+
+    // then
+    assert.is($cells.innerHTML, '<td class="hover"></td>');
+
+    // when
+    $cells.firstChild.classList.remove('hover');
+    diff($cells, h('td', { class: [] }), h('td', { class: null }));
+
+    // then
+    assert.is($cells.innerHTML, '<td></td>');
+    assert.is($tr.style.backgroundColor, '');
+    assert.is(changed(vDom, newVDom), true);
+
+    // when
+    diff($root, h('tr', { class: 'row', style: 'color: blue' }), newVDom);
+
+    // then
+    assert.is($tr.getAttribute('style'), 'color: blue');
+    assert.is(renderToString(row(true, 0)), '<tr class="row selected" style="color: red; --amount: 0"></tr>');
+  });
+
+  test('computePatches', assert => {
+    // given
+    const list = (items, title) =>
+      h('div', { class: 'garden' }, h('h1', {}, title), h('ul', {}, items.map(item => h('li', { key: item }, item))));
+    const vDom = list(['Leek', 'Tomato', 'Potato'], 'Garden');
+
+    // when
+    const patches = computePatches(vDom, list(['Potato', 'Leek', 'Carrot'], 'Vegetables'));
+
+    // then
+    assert.is(patches.length, 4);
+    assert.is(JSON.stringify(patches[0]), '{"type":"setText","path":[0,0,0],"value":"Vegetables"}');
+    assert.is(patches[1].type, 'remove');
+    assert.is(patches[1].index, 1);
+    assert.is(JSON.stringify(patches[2]), '{"type":"create","path":[0,1],"index":2,"node":{"tagName":"li","attributes":{},"children":["Carrot"],"key":"Carrot"}}');
+    assert.is(JSON.stringify(patches[3]), '{"type":"move","path":[0,1],"from":1,"count":1,"to":0}');
+    assert.is(computePatches(vDom, vDom).length, 0);
+
+    // when
+    const effects = [];
+    const Planted = () => {
+      useEffect(() => effects.push('planted'));
+      return h('p', {}, 'Planted');
+    };
+    const $root = document.createElement('div');
+    $root.append(render(h('div')));
+    const effectPatches = computePatches(h('div'), h('div', {}, h(Planted)));
+    render(h('span'));
+    computePatches(h('div'), h('div', {}, h(Planted))); // never applied
+
+    // then
+    assert.is(effects.length, 0);
+
+    // when
+    applyPatches($root, effectPatches);
+
+    // then
+    assert.is($root.innerHTML, '<div><p>Planted</p></div>');
+    assert.is(effects.join(), 'planted');
+  });
+
+  test('applyPatches', assert => {
+    // given
+    const Item = ({ name }) => h('li', {}, name);
+    const list = (items, checked) =>
+      h('form', {}, h('input', { type: 'checkbox', checked }), items.map(item => h(Item, { key: item, name: item })));
+    const $root = document.createElement('div');
+    const vDom = list(['Leek', 'Tomato', 'Potato'], false);
+    $root.append(render(vDom));
+    const $potato = $root.querySelectorAll('li')[2];
+    const $checkbox = $root.querySelector('input');
+
+    // when
+    const patches = JSON.parse(JSON.stringify(computePatches(vDom, list(['Potato', 'Leek', 'Carrot'], true))));
+    applyPatches($root, patches);
+
+    // then
+    assert.is($root.innerHTML, '<form><input type="checkbox"><li>Potato</li><li>Leek</li><li>Carrot</li></form>');
+    assert.is($root.querySelectorAll('li')[0], $potato);
+    assert.is($checkbox.checked, true);
+  });
+
+  test('portal', assert => {
+    // given
+    const $body = document.createElement('body');
+    const $root = document.createElement('main');
+    $body.append($root);
+    const removed = [];
+    const view = ({ state, setState }) =>
+      h('div', {},
+        h('button', { click: _ => setState({ open: !state.open }) }, 'Info'),
+        state.open
+          ? portal($body, h('dialog', { onremove: _ => removed.push('dialog') }, h('h2', {}, state.title), 'Leek'))
+          : null,
+      );
+
+    const handle = mount($root, view, { open: true, title: 'Vegetable' });
+
+    // then
+    assert.is($root.innerHTML, '<div><button>Info</button></div>');
+    assert.is($body.lastChild.outerHTML, '<dialog><h2>Vegetable</h2>Leek</dialog>');
+
+    // when
+    const $dialog = $body.querySelector('dialog');
+    handle.setState({ title: 'Alliaceae' });
+    flush();
+
+    // then
+    assert.is($body.querySelector('dialog'), $dialog);
+    assert.is($dialog.innerHTML, '<h2>Alliaceae</h2>Leek');
+
+    // when
+    $root.querySelector('button').click();
+    flush();
+
+    // then
+    assert.is($body.querySelector('dialog'), null);
+    assert.is($body.childNodes.length, 1);
+    assert.is(removed.join(), 'dialog');
+
+    // when
+    handle.setState({ open: true });
+    handle.refresh();
+    handle.unmount();
+
+    // then
+    assert.is($body.innerHTML, '<main></main>');
+    assert.is(removed.join(), 'dialog,dialog');
+    assert.is(renderToString(portal($body, h('p', {}, 'Leek'))), '');
+  });
+
+  test('mount - error boundary', assert => {
+    // given
+    const errors = [];
+    const Amount = ({ amount }) => {
+      if (amount < 0) throw new Error('negative amount');
+      return h('span', {}, amount);
+    };
+    const view = ({ state }) => h('p', {}, state.name, h(Amount, { amount: state.amount }));
+    const fallback = (error, state) => h('p', { class: 'error' }, error.message);
+    const onError = (error, state) => errors.push(`${error.message} ${state.amount}`);
+    const $root = document.createElement('main');
+    const $plain = document.createElement('main');
+
+    const handle = mount($root, view, { name: 'Leek', amount: 1 }, true, { fallback, onError });
+    const plain = mount($plain, view, { name: 'Leek', amount: 1 }, true, { onError });
+    const $span = $plain.querySelector('span');
+
+    // when
+    handle.setState({ amount: -1 });
+    plain.setState({ amount: -1 });
+    flush();
+
+    // then
+    assert.is(errors.join(), 'negative amount -1,negative amount -1');
+    assert.is($root.innerHTML, '<p class="error">negative amount</p>');
+    assert.is($plain.innerHTML, '<p>Leek<span>1</span></p>');
+    assert.is($plain.querySelector('span'), $span);
+
+    // when
+    handle.setState({ amount: 2 });
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<p>Leek<span>2</span></p>');
+
+    // when
+    mountMVC($root, { amount: -3 }, model => h(Amount, model), model => model, false, { fallback, onError });
+
+    // then
+    assert.is(errors[2], 'negative amount -3');
+    assert.is($root.innerHTML, '<p class="error">negative amount</p><p>Leek<span>2</span></p>');
+  });
+
+  test('ErrorBoundary', assert => {
+    // given
+    const errors = [];
+    const effects = [];
+    const Amount = ({ amount }) => {
+      useEffect(() => effects.push(amount));
+      if (amount < 0) throw new Error('negative amount');
+      return h('span', {}, amount);
+    };
+    const row = amount =>
+      h(ErrorBoundary, { fallback: error => h('em', {}, error.message), onError: error => errors.push(error.message) },
+        h('b', {}, 'Amount: '),
+        h(Amount, { amount })
+      );
+    const view = ({ state }) => h('p', {}, h('i', {}, state.name), row(state.amount), row(1));
+    const $root = document.createElement('main');
+
+    // when
+    const handle = mount($root, view, { name: 'Leek', amount: -1 });
+
+    // then
+    assert.is(errors.join(), 'negative amount');
+    assert.is(effects.join(), '1');
+    assert.is($root.innerHTML, '<p><i>Leek</i><em>negative amount</em><b>Amount: </b><span>1</span></p>');
+    assert.is(renderToString(view({ state: { name: 'Leek', amount: -1 } })),
+      '<p><i>Leek</i><em>negative amount</em><b>Amount: </b><span>1</span></p>');
+
+    // when
+    handle.setState({ name: 'Tomato', amount: 2 });
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<p><i>Tomato</i><b>Amount: </b><span>2</span><b>Amount: </b><span>1</span></p>');
+
+    // when
+    const $span = $root.querySelector('span');
+    handle.setState({ name: 'Potato', amount: -2 });
+    flush();
+
+    // then
+    assert.is(errors.join(), 'negative amount,negative amount,negative amount');
+    assert.is($root.innerHTML, '<p><i>Potato</i><em>negative amount</em><b>Amount: </b><span>1</span></p>');
+    assert.is($root.querySelector('span').textContent, '1');
+    assert.is($span.parentNode, null);
+    assert.is(effects.join(), '1,2,1,1');
+
+    // when
+    let thrown;
+    try {
+      render(h(ErrorBoundary, {}, h(Amount, { amount: -3 })));
+    } catch (error) {
+      thrown = error;
+    }
+
+    // then
+    assert.is(thrown.message, 'negative amount');
+  });
+
+  test('mount - error boundary - lifecycle hooks', assert => {
+    // given
+    const $root = document.createElement('main');
+    const view = ({ state }) =>
+      h('p', {}, state.amount > 1 ? h('span', { oncreate: _ => { throw new Error('hook'); } }, state.amount) : null);
+    const fallback = error => h('p', { class: 'error' }, error.message);
+    const handle = mount($root, view, { amount: 1 }, true, { fallback });
+
+    // when
+    handle.setState({ amount: 2 });
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<p class="error">hook</p>');
+
+    // when
+    handle.setState({ amount: 0 });
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<p></p>');
+  });
+
+  test('hooks', assert => {
+    // given
+    const calls = [];
+    const Comment = ({ text }) => {
+      const [expanded, setExpanded] = useState(false);
+      const words = useMemo(() => {
+        calls.push(`count ${text}`);
+        return text.split(' ').length;
+      }, [text]);
+      useEffect(() => {
+        calls.push(`effect ${expanded}`);
+        return () => calls.push(`cleanup ${expanded}`);
+      }, [expanded]);
+      return h('p', { click: _ => setExpanded(expanded => !expanded) }, expanded ? text : `${words} words`);
+    };
+    const view = ({ state }) => h('div', {}, state.comments.map(text => h(Comment, { key: text, text })));
+    const $root = document.createElement('main');
+
+    const handle = mount($root, view, { comments: ['Leek is great', 'Tomato'] });
+
+    // then
+    assert.is($root.innerHTML, '<div><p>3 words</p><p>1 words</p></div>');
+    assert.is(calls.join(), 'count Leek is great,count Tomato,effect false,effect false');
+
+    // when
+    calls.length = 0;
+    $root.querySelector('p').click();
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<div><p>Leek is great</p><p>1 words</p></div>');
+    assert.is(calls.join(), 'cleanup false,effect true');
+
+    // when
+    calls.length = 0;
+    handle.setState({ comments: ['Potato', 'Leek is great'] });
+    flush();
+
+    // then
+    assert.is($root.innerHTML, '<div><p>1 words</p><p>Leek is great</p></div>');
+    assert.is(calls.join(), 'count Potato,effect false,cleanup false');
+
+    // when
+    calls.length = 0;
+    handle.unmount();
+
+    // then
+    assert.is(calls.join(), 'cleanup false,cleanup true');
+
+    // when
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    const Toggle = () => {
+      const [open, setOpen] = useState(false);
+      return h('button', { click: _ => setOpen(!open) }, open ? 'open' : 'closed');
+    };
+    const $button = render(h(Toggle));
+    $button.click();
+    flush();
+    const $refreshed = document.createElement('div');
+    const vDom = h(Toggle);
+    const refresh = () => diff($refreshed, h(Toggle), vDom);
+    withRefresh(refresh, () => $refreshed.append(render(vDom)));
+    $refreshed.querySelector('button').click();
+    flush();
+    console.warn = warn;
+
+    // then
+    assert.is(warnings.length, 1);
+    assert.is($button.textContent, 'closed');
+    assert.is($refreshed.innerHTML, '<button>open</button>');
+  });
+
+  test('hooks - without diffing', assert => {
+    // given
+    const calls = [];
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    const Toggle = () => {
+      const [open, setOpen] = useState(false);
+      useEffect(() => {
+        calls.push(`effect ${open}`);
+        return () => calls.push(`cleanup ${open}`);
+      }, []);
+      return h('button', { click: _ => setOpen(!open) }, open ? 'open' : 'closed');
+    };
+    const view = () => h('div', {}, h(Toggle));
+    const $root = document.createElement('main');
+    const handle = mount($root, view, {}, false);
+
+    // when
+    $root.querySelector('button').click();
+    flush();
+    console.warn = warn;
+
+    // then
+    assert.is($root.innerHTML, '<div><button>closed</button></div>');
+    assert.is(calls.join(), 'effect false,effect false,cleanup false');
+    assert.is(warnings.length, 1);
+    assert.is(warnings[0], 'State of a component is reset, as its view is replaced. Hooks need diffing.');
+
+    handle.unmount();
+  });
+
+  test('lazy and shouldUpdate', assert => {
+    // given
+    const calls = [];
+    const Counter = () => {
+      const [count, setCount] = useState(0);
+      return h('button', { click: _ => setCount(count + 1) }, count);
+    };
+    const row = vegetable => {
+      calls.push(vegetable.name);
+      return h('tr', {}, h('td', {}, vegetable.name), h('td', {}, h(Counter)));
+    };
+    const view = ({ state }) =>
+      h('div', {},
+        h('input', { value: state.filter }),
+        h('table', {}, state.vegetables.map(vegetable => lazy(() => row(vegetable), [vegetable], vegetable.name))),
+        h('p', {
+          title: state.title,
+          shouldUpdate: (attributes, oldAttributes) => attributes.title !== oldAttributes.title,
+        }, state.filter),
+      );
+    const leek = { name: 'Leek' };
+    const tomato = { name: 'Tomato' };
+    const $root = document.createElement('main');
+
+    const handle = mount($root, view, { filter: '', title: 'Garden', vegetables: [leek, tomato] });
+
+    // then
+    assert.is(calls.join(), 'Leek,Tomato');
+
+    // when
+    calls.length = 0;
+    handle.setState({ filter: 'L', vegetables: [leek, { name: 'Tomato', amount: 1 }] });
+    flush();
+
+    // then
+    assert.is(calls.join(), 'Tomato');
+    assert.is($root.querySelector('p').textContent, '');
+
+    // when
+    handle.setState({ filter: 'Le', title: 'Vegetables' });
+    flush();
+
+    // then
+    assert.is($root.querySelector('p').outerHTML, '<p title="Vegetables">Le</p>');
+
+    // when
+    calls.length = 0;
+    $root.querySelector('button').click();
+    flush();
+
+    // then
+    assert.is(calls.join(), '');
+    assert.is($root.querySelector('button').textContent, '1');
+
+    // when
+    handle.setState({ vegetables: [{ name: 'Tomato' }] });
+    flush();
+
+    // then
+    assert.is($root.querySelectorAll('tr').length, 1);
+    assert.is($root.querySelector('button').textContent, '0');
+  });
+
+  test('context', assert => {
+    // given
+    const Theme = createContext('light');
+    const Translate = createContext(text => text);
+    const Label = ({ text }) => {
+      const translate = useContext(Translate);
+      const [clicks, setClicks] = useState(0);
+      return h('label', { class: useContext(Theme), click: _ => setClicks(clicks + 1) }, translate(text), clicks);
+    };
+    const view = ({ state }) =>
+      h('form', {},
+        h(Label, { text: 'Vegetable' }),
+        provide(Theme, state.theme,
+          provide(Translate, text => `${text} (${state.language})`,
+            lazy(() => h('p', {}, h(Label, { text: 'Origin' })), [])
+          ),
+          h(Label, { text: 'Amount' }),
+        ),
+      );
+    const $root = document.createElement('main');
+
+    const handle = mount($root, view, { theme: 'dark', language: 'de' });
+
+    // then
+    const labels = () =>
+      Array.from($root.querySelectorAll('label')).map($label => `${$label.className} ${$label.textContent}`);
+    assert.is(labels().join(), 'light Vegetable0,dark Origin (de)0,dark Amount0');
+
+    // when
+    handle.setState({ theme: 'green' });
+    flush();
+    $root.querySelectorAll('label')[1].click();
+    flush();
+
+    // then
+    assert.is(labels().join(), 'light Vegetable0,dark Origin (de)1,green Amount0'); // lazy subtrees are kept
+    assert.is(renderToString(provide(Theme, 'dark', h(Label, { text: 'Leek' }))), '<label class="dark">Leek0</label>');
+  });
+
+  test('raw', assert => {
+    // given
+    const comment =
+      '<p class="note" onclick="steal()">Leek &amp; <b>Potato</b><script>steal()</script></p>' +
+      '<a href=" javascript:steal()">link</a><a href="https://puerro.dev" style="color: red">Puerro</a>' +
+      '<font>Tomato</font><img src="leek.png" alt="Leek">';
+
+    // when
+    const $root = document.createElement('div');
+    $root.append(render(h('div', {}, raw(comment))));
+
+    // then
+    assert.is(
+      $root.firstChild.innerHTML,
+      '<p class="note">Leek &amp; <b>Potato</b></p><a>link</a><a href="https://puerro.dev">Puerro</a>' +
+        'Tomato<img src="leek.png" alt="Leek">'
+    );
+    assert.is(renderToString(raw('<em title="&quot;>">Leek</em> &lt;3')), '<em title="&quot;&gt;">Leek</em> &lt;3');
+
+    // when
+    const trusted = raw('<font onclick="x()">Leek</font>', { sanitize: false });
+    const custom = raw('<b>Leek</b>', { sanitize: markup => markup.replace(/b>/g, 'i>') });
+
+    // then
+    assert.is(renderToString(trusted), '<font onclick="x()">Leek</font>');
+    assert.is(renderToString(custom), '<i>Leek</i>');
+
+    // when
+    const text = raw('1 < 2 and 3 > 2 for 1<2/3 of the bed');
+    const slash = raw('a<b/c');
+    const doctype = raw('<!DOCTYPE html><html><body><p>Leek<!-- note --></p></body></html>');
+    const plain = raw('1 < 2', { sanitize: false });
+
+    // then
+    assert.is(renderToString(text), '1 &lt; 2 and 3 &gt; 2 for 1&lt;2/3 of the bed');
+    assert.is(renderToString(slash), 'a'); // an unfinished tag is dropped, like in the browser
+    assert.is(renderToString(doctype), '<p>Leek</p>');
+    assert.is(renderToString(plain), '1 &lt; 2');
+  });
+
+  test('mount - delegated events', assert => {
+    // given
+    const calls = [];
+    const $root = document.createElement('main');
+    document.body.append($root);
+    const view = ({ state, setState }) =>
+      h('ul', { click: event => calls.push(`list ${event.currentTarget.localName}`) },
+        state.vegetables.map(vegetable =>
+          h('li', { click: _ => setState({ selected: vegetable }) },
+            h('input', {
+              value: vegetable,
+              focus: event => calls.push(`focus ${event.target.value}`),
+              click: event => event.stopPropagation(),
+            }),
+            h('span', {}, vegetable)
+          )
+        ),
+        h('p', {}, state.selected)
+      );
+    const handle = mount($root, view, { vegetables: ['Leek', 'Tomato'], selected: '' }, true, { delegate: true });
+    const $spans = $root.querySelectorAll('span');
+
+    // when
+    $spans[1].click();
+    flush();
+
+    // then
+    assert.is(calls.join(), 'list ul');
+    assert.is($root.querySelector('p').textContent, 'Tomato');
+
+    // when
+    calls.length = 0;
+    $root.querySelector('input').click();
+    $root.querySelector('input').focus();
+
+    // then
+    assert.is(calls.join(), 'focus Leek');
+
+    // when
+    calls.length = 0;
+    handle.unmount();
+    $spans[0].click(); // the removed elements have no listeners of their own
+    $root.remove();
+
+    // then
+    assert.is($root.innerHTML, '');
+    assert.is(calls.join(), '');
+  });
+
+  test('development - validation warnings', assert => {
+    // given
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    const Missing = undefined;
+    const list = vegetables =>
+      development.h('ul', {}, vegetables.map(vegetable => development.h('li', { key: vegetable }, vegetable)));
+
+    try {
+      // when
+      const $div = development.render(
+        h('div', {},
+          h('p', {}, 'Leek'),
+          list(['Leek', 'Tomato', 'Leek']),
+          h('form', {}, h('input', { onChange: _ => _ }), h(Missing, {}))
+        )
+      );
+
+      // then
+      assert.is($div.querySelectorAll('li').length, 3);
+      assert.is(warnings.length, 3); // the list is not warned about again when rendered
+      assert.is(warnings[0], 'Invalid node h(ul): duplicate key "Leek", only the first child with it is kept when diffing');
+      assert.is(warnings[1], 'Invalid node div > form[2] > input[0]: listener "onChange" is never called, use the event name "change"');
+      assert.is(warnings[2], 'Invalid node div > form[2] > undefined[1]: tagName is undefined, is the component imported?');
+
+      // when
+      warnings.length = 0;
+      const $root = document.createElement('main');
+      const handle = development.mount($root, ({ state }) => h('p', { onInput: _ => _ }, state.count), { count: 1 });
+      development.diff(document.createElement('div'), h('main', {}, h('em', { onclick: _ => _ })), null);
+      handle.setState({ count: 2 });
+      flush();
+      development.h('p', {}, { count: 2 }, true);
+      development.h(ErrorBoundary, { onError: _ => _ }, development.h('p', {})); // props of a component
+
+      // then
+      assert.is($root.textContent, '2');
+      assert.is(warnings.length, 4); // the refreshed view does not repeat its warning
+      assert.is(warnings[0], 'Invalid node p: listener "onInput" is never called, use the event name "input"');
+      assert.is(warnings[1], 'Invalid node main > em[0]: listener "onclick" is never called, use the event name "click"');
+      assert.is(warnings[2], 'Invalid node h(p): child 0 is an object, which is not a node: {"count":2}');
+      assert.is(warnings[3], 'Invalid node h(p): child 1 is true, use null to render nothing');
+    } finally {
+      console.warn = warn;
+    }
+  });
 });